@@ -0,0 +1,75 @@
+// Background service worker
+// Keeps the prefetch queue filled: the next sketch and its image are fetched
+// shortly before each rollover, and the queue is topped up whenever a page
+// takes a sketch, so new tabs and refreshes don't wait on the network.
+import { storage } from "./storage.js";
+import { getSchedule, nextRollover } from "./settings.js";
+import { QUEUE_KEY, queueSizeFor, fillQueue, clearQueue } from "./queue.js";
+
+const PRELOAD_ALARM = "preload";
+const REFILL_ALARM = "refill";
+
+// How long before a rollover to fetch the next sketch
+const PRELOAD_LEAD_MS = 10 * 60 * 1000; // 10 minutes
+
+// Top the queue up now and then, in case a fill failed while offline
+const REFILL_PERIOD_MINUTES = 60;
+
+async function refill() {
+  if (!navigator.onLine) return;
+  await fillQueue(queueSizeFor(await getSchedule()));
+}
+
+// Set the preload alarm for shortly before the current sketch is replaced
+async function schedulePreload() {
+  const schedule = await getSchedule();
+  const lastFetchTime = await storage.get("lastFetchTime", null);
+  const rollover = nextRollover(schedule, lastFetchTime);
+  if (!rollover) {
+    await chrome.alarms.clear(PRELOAD_ALARM);
+    return;
+  }
+  await chrome.alarms.create(PRELOAD_ALARM, {
+    when: Math.max(rollover.getTime() - PRELOAD_LEAD_MS, Date.now() + 60000),
+  });
+}
+
+async function start() {
+  await chrome.alarms.create(REFILL_ALARM, {
+    periodInMinutes: REFILL_PERIOD_MINUTES,
+  });
+  await schedulePreload();
+  await refill();
+}
+
+// Listeners have to be added synchronously so events wake the worker
+chrome.runtime.onInstalled.addListener(start);
+chrome.runtime.onStartup.addListener(start);
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === PRELOAD_ALARM) {
+    await refill();
+    await schedulePreload();
+  } else if (alarm.name === REFILL_ALARM) {
+    await refill();
+  }
+});
+
+storage.onChanged(async (changes) => {
+  // Sketches queued from another source, or for other topics, shouldn't
+  // be shown
+  if (
+    "sourceEndpoint" in changes ||
+    "sourceAdapter" in changes ||
+    "topicFilters" in changes
+  ) {
+    await clearQueue();
+  }
+  if ("frequency" in changes || "lastFetchTime" in changes) {
+    await schedulePreload();
+  }
+  // A new tab took a sketch, or each-tab mode was turned on
+  if (QUEUE_KEY in changes || "frequency" in changes) {
+    await refill();
+  }
+});
@@ -0,0 +1,320 @@
+// Export and import of settings and data as a versioned JSON file
+import { storage } from "./storage.js";
+import {
+  normalizeSchedule,
+  MAX_RECENT_SIZE,
+  HISTORY_SIZE,
+} from "./settings.js";
+import {
+  isThemeValue,
+  validateTheme,
+  normalizeThemeSchedule,
+} from "./themes.js";
+import { normalizeTopicFilters } from "./filters.js";
+
+export const BACKUP_FORMAT = "sketchplanations-new-tab";
+export const BACKUP_VERSION = 1;
+
+// Import strategies
+export const IMPORT_MERGE = "merge"; // add imported items to what's here
+export const IMPORT_REPLACE = "replace"; // overwrite what's here
+
+export async function createBackup() {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: {
+      theme: await storage.get("theme", null),
+      frequency: await storage.get("frequency", null),
+      recentSize: await storage.get("recentSize", null),
+      favoritesSort: await storage.get("favoritesSort", null),
+      showCaption: await storage.get("showCaption", null),
+      customThemes: await storage.get("customThemes", null),
+      themeSchedule: await storage.get("themeSchedule", null),
+      keyBindings: await storage.get("keyBindings", null),
+      topicFilters: await storage.get("topicFilters", null),
+    },
+    data: {
+      favorites: await storage.get("favorites", []),
+      history: await storage.get("history", []),
+      recent: await storage.get("recent", []),
+      blockedSketches: await storage.get("blockedSketches", []),
+    },
+  };
+}
+
+export function backupFilename(date = new Date()) {
+  return `sketchplanations-new-tab-backup-${date
+    .toISOString()
+    .slice(0, 10)}.json`;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function isValidDate(value) {
+  return typeof value === "string" && !Number.isNaN(Date.parse(value));
+}
+
+function isValidSketch(sketch) {
+  return (
+    isPlainObject(sketch) &&
+    typeof sketch.uid === "string" &&
+    sketch.uid.length > 0 &&
+    typeof sketch.title === "string" &&
+    typeof sketch.url === "string"
+  );
+}
+
+function checkEntries(problems, name, entries, dateKey) {
+  if (entries === undefined) return;
+  if (!Array.isArray(entries)) {
+    problems.push(`data.${name} must be a list`);
+    return;
+  }
+  entries.forEach((entry, index) => {
+    if (!isPlainObject(entry) || !isValidSketch(entry.sketch)) {
+      problems.push(`data.${name}[${index}] is not a valid sketch`);
+    } else if (!isValidDate(entry[dateKey])) {
+      problems.push(`data.${name}[${index}].${dateKey} is not a valid date`);
+    }
+  });
+}
+
+// Check a parsed backup file. Returns a list of problems (empty when valid).
+export function validateBackup(backup) {
+  const problems = [];
+
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    return ["This isn't a Sketchplanations New Tab backup file"];
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    return ["The backup file has no valid version"];
+  }
+  if (backup.version > BACKUP_VERSION) {
+    return [
+      `The backup file is version ${backup.version}, but this extension only understands up to version ${BACKUP_VERSION}. Update the extension and try again.`,
+    ];
+  }
+
+  const settings = backup.settings ?? {};
+  if (!isPlainObject(settings)) {
+    problems.push("settings must be an object");
+  } else {
+    if (settings.theme != null && !isThemeValue(settings.theme)) {
+      problems.push(`settings.theme "${settings.theme}" isn't a known theme`);
+    }
+    if (settings.customThemes != null) {
+      if (!Array.isArray(settings.customThemes)) {
+        problems.push("settings.customThemes must be a list");
+      } else {
+        settings.customThemes.forEach((theme, index) => {
+          const themeProblems = validateTheme(theme);
+          if (typeof theme?.id !== "string") {
+            themeProblems.push("id is missing");
+          }
+          if (themeProblems.length > 0) {
+            problems.push(
+              `settings.customThemes[${index}]: ${themeProblems.join(", ")}`
+            );
+          }
+        });
+      }
+    }
+    if (
+      settings.themeSchedule != null &&
+      !Array.isArray(settings.themeSchedule)
+    ) {
+      problems.push("settings.themeSchedule must be a list");
+    }
+    if (settings.keyBindings != null && !isPlainObject(settings.keyBindings)) {
+      problems.push("settings.keyBindings must be an object");
+    }
+    if (
+      settings.topicFilters != null &&
+      !isPlainObject(settings.topicFilters)
+    ) {
+      problems.push("settings.topicFilters must be an object");
+    }
+    if (
+      settings.frequency != null &&
+      typeof settings.frequency !== "string" &&
+      !isPlainObject(settings.frequency)
+    ) {
+      problems.push("settings.frequency must be a schedule");
+    }
+    if (
+      settings.recentSize != null &&
+      (!Number.isInteger(settings.recentSize) ||
+        settings.recentSize < 0 ||
+        settings.recentSize > MAX_RECENT_SIZE)
+    ) {
+      problems.push(
+        `settings.recentSize must be a whole number from 0 to ${MAX_RECENT_SIZE}`
+      );
+    }
+    if (
+      settings.favoritesSort != null &&
+      !["saved", "published"].includes(settings.favoritesSort)
+    ) {
+      problems.push("settings.favoritesSort must be saved or published");
+    }
+    if (
+      settings.showCaption != null &&
+      typeof settings.showCaption !== "boolean"
+    ) {
+      problems.push("settings.showCaption must be true or false");
+    }
+  }
+
+  const data = backup.data ?? {};
+  if (!isPlainObject(data)) {
+    problems.push("data must be an object");
+  } else {
+    checkEntries(problems, "favorites", data.favorites, "savedAt");
+    checkEntries(problems, "history", data.history, "viewedAt");
+    if (
+      data.recent !== undefined &&
+      (!Array.isArray(data.recent) ||
+        !data.recent.every((uid) => typeof uid === "string"))
+    ) {
+      problems.push("data.recent must be a list of sketch ids");
+    }
+    if (data.blockedSketches !== undefined) {
+      if (!Array.isArray(data.blockedSketches)) {
+        problems.push("data.blockedSketches must be a list");
+      } else {
+        data.blockedSketches.forEach((entry, index) => {
+          if (
+            !isPlainObject(entry) ||
+            typeof entry.uid !== "string" ||
+            !entry.uid
+          ) {
+            problems.push(`data.blockedSketches[${index}] has no sketch id`);
+          } else if (!isValidDate(entry.blockedAt)) {
+            problems.push(
+              `data.blockedSketches[${index}].blockedAt is not a valid date`
+            );
+          }
+        });
+      }
+    }
+  }
+
+  return problems;
+}
+
+function mergeFavorites(current, imported) {
+  // Keep existing favorites as they are and add any new ones
+  const uids = new Set(current.map((favorite) => favorite.sketch.uid));
+  const added = imported.filter((favorite) => !uids.has(favorite.sketch.uid));
+  return [...current, ...added].sort(
+    (a, b) => Date.parse(b.savedAt) - Date.parse(a.savedAt)
+  );
+}
+
+function mergeHistory(current, imported) {
+  // The same sketch viewed at the same moment is the same history entry
+  const seen = new Set();
+  return [...current, ...imported]
+    .filter((entry) => {
+      const id = `${entry.sketch.uid}@${entry.viewedAt}`;
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    })
+    .sort((a, b) => Date.parse(b.viewedAt) - Date.parse(a.viewedAt))
+    .slice(0, HISTORY_SIZE);
+}
+
+function mergeRecent(current, imported) {
+  return [...new Set([...current, ...imported])].slice(0, MAX_RECENT_SIZE);
+}
+
+function mergeBlocked(current, imported) {
+  const uids = new Set(current.map((entry) => entry.uid));
+  const added = imported.filter((entry) => !uids.has(entry.uid));
+  return [...current, ...added].sort(
+    (a, b) => Date.parse(b.blockedAt) - Date.parse(a.blockedAt)
+  );
+}
+
+// Apply a backup using the given strategy. Settings in the backup always win;
+// the strategy decides whether favorites, history, recents and blocked
+// sketches are merged
+// with what's here or replace it. Returns counts of what was imported.
+export async function importBackup(backup, strategy = IMPORT_MERGE) {
+  const problems = validateBackup(backup);
+  if (problems.length > 0) {
+    throw new Error("Invalid backup file: " + problems.join("; "));
+  }
+
+  const settings = backup.settings ?? {};
+  if (settings.theme !== undefined) {
+    await storage.set("theme", settings.theme);
+  }
+  if (settings.frequency != null) {
+    await storage.set("frequency", normalizeSchedule(settings.frequency));
+  }
+  if (settings.recentSize != null) {
+    await storage.set("recentSize", settings.recentSize);
+  }
+  if (settings.favoritesSort != null) {
+    await storage.set("favoritesSort", settings.favoritesSort);
+  }
+  if (settings.showCaption != null) {
+    await storage.set("showCaption", settings.showCaption);
+  }
+  if (settings.customThemes != null) {
+    await storage.set("customThemes", settings.customThemes);
+  }
+  if (settings.keyBindings != null) {
+    await storage.set("keyBindings", settings.keyBindings);
+  }
+  if (settings.topicFilters != null) {
+    await storage.set(
+      "topicFilters",
+      normalizeTopicFilters(settings.topicFilters)
+    );
+  }
+  if (settings.themeSchedule != null) {
+    await storage.set(
+      "themeSchedule",
+      normalizeThemeSchedule(settings.themeSchedule)
+    );
+  }
+
+  const data = backup.data ?? {};
+  const favorites = data.favorites ?? [];
+  const history = data.history ?? [];
+  const recent = data.recent ?? [];
+  const blocked = data.blockedSketches ?? [];
+
+  if (strategy === IMPORT_REPLACE) {
+    await storage.set("favorites", favorites);
+    await storage.set("history", history.slice(0, HISTORY_SIZE));
+    await storage.set("recent", recent.slice(0, MAX_RECENT_SIZE));
+    await storage.set("blockedSketches", blocked);
+  } else {
+    await storage.set(
+      "favorites",
+      mergeFavorites(await storage.get("favorites", []), favorites)
+    );
+    await storage.set(
+      "history",
+      mergeHistory(await storage.get("history", []), history)
+    );
+    await storage.set(
+      "recent",
+      mergeRecent(await storage.get("recent", []), recent)
+    );
+    await storage.set(
+      "blockedSketches",
+      mergeBlocked(await storage.get("blockedSketches", []), blocked)
+    );
+  }
+
+  return { favorites: favorites.length, history: history.length };
+}
@@ -0,0 +1,186 @@
+// Caption helpers: publish date and description formatting
+// The API's description may be Prismic rich text (a list of blocks with
+// spans) or a markdown string. Both are turned into escaped HTML.
+import { t, uiLocale } from "./i18n.js";
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Only allow https links in descriptions (they can point at any site)
+function safeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === "https:" ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function link(url, textHtml) {
+  const href = safeUrl(url);
+  return href
+    ? `<a href="${escapeHtml(
+        href
+      )}" target="_blank" rel="noopener">${textHtml}</a>`
+    : textHtml;
+}
+
+// "Published 3 March 2024", in the UI's language and date format
+export function formatPublishedDate(publishedAt) {
+  const date = new Date(publishedAt);
+  if (!publishedAt || Number.isNaN(date.getTime())) return "";
+  return t(
+    "publishedOn",
+    date.toLocaleDateString(uiLocale(), {
+      day: "numeric",
+      month: "long",
+      year: "numeric",
+    })
+  );
+}
+
+// ---- Prismic rich text ----
+function renderSpans(text, spans = []) {
+  // Wrap each span's range, innermost last so nesting stays balanced
+  const boundaries = new Set([0, text.length]);
+  spans.forEach((span) => {
+    boundaries.add(span.start);
+    boundaries.add(span.end);
+  });
+  const points = [...boundaries]
+    .filter((point) => point >= 0 && point <= text.length)
+    .sort((a, b) => a - b);
+
+  let html = "";
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    const end = points[i + 1];
+    let segment = escapeHtml(text.slice(start, end));
+    spans
+      .filter((span) => span.start <= start && span.end >= end)
+      .forEach((span) => {
+        if (span.type === "strong") segment = `<strong>${segment}</strong>`;
+        else if (span.type === "em") segment = `<em>${segment}</em>`;
+        else if (span.type === "hyperlink" && span.data) {
+          segment = link(span.data.url, segment);
+        }
+      });
+    html += segment;
+  }
+  return html;
+}
+
+function renderRichTextBlocks(blocks) {
+  let html = "";
+  let openList = null;
+
+  blocks.forEach((block) => {
+    if (!block || typeof block.text !== "string") return;
+
+    const listTag =
+      block.type === "list-item"
+        ? "ul"
+        : block.type === "o-list-item"
+        ? "ol"
+        : null;
+    if (openList && openList !== listTag) {
+      html += `</${openList}>`;
+      openList = null;
+    }
+    if (listTag && !openList) {
+      html += `<${listTag}>`;
+      openList = listTag;
+    }
+
+    const content = renderSpans(block.text, block.spans);
+    if (listTag) {
+      html += `<li>${content}</li>`;
+    } else if (/^heading[1-6]$/.test(block.type)) {
+      // Keep description headings below the page's own headings
+      html += `<h3>${content}</h3>`;
+    } else if (block.type === "preformatted") {
+      html += `<pre>${content}</pre>`;
+    } else {
+      html += `<p>${content}</p>`;
+    }
+  });
+
+  if (openList) html += `</${openList}>`;
+  return html;
+}
+
+// ---- Markdown ----
+function renderEmphasis(html) {
+  return html
+    .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^*])\*([^*]+)\*/g, "$1<em>$2</em>")
+    .replace(/(^|\W)_([^_]+)_(?=\W|$)/g, "$1<em>$2</em>");
+}
+
+function renderInlineMarkdown(text) {
+  // Escape first, then turn markdown syntax into tags. Links are set aside
+  // (as \u0001index\u0001) while emphasis is added, so a * or _ in a URL
+  // stays part of it.
+  const links = [];
+  const html = escapeHtml(text.replace(/\u0001/g, "")).replace(
+    /\[([^\]]+)\]\(([^)\s]+)\)/g,
+    (match, label, url) => {
+      links.push(link(url.replace(/&amp;/g, "&"), renderEmphasis(label)));
+      return `\u0001${links.length - 1}\u0001`;
+    }
+  );
+  return renderEmphasis(html).replace(
+    /\u0001(\d+)\u0001/g,
+    (match, index) => links[index]
+  );
+}
+
+function renderMarkdown(markdown) {
+  return markdown
+    .trim()
+    .split(/\n\s*\n/)
+    .map((block) => {
+      const lines = block.split("\n");
+      if (lines.every((line) => /^\s*[-*]\s+/.test(line))) {
+        return `<ul>${lines
+          .map(
+            (line) =>
+              `<li>${renderInlineMarkdown(
+                line.replace(/^\s*[-*]\s+/, "")
+              )}</li>`
+          )
+          .join("")}</ul>`;
+      }
+      if (lines.every((line) => /^\s*\d+\.\s+/.test(line))) {
+        return `<ol>${lines
+          .map(
+            (line) =>
+              `<li>${renderInlineMarkdown(
+                line.replace(/^\s*\d+\.\s+/, "")
+              )}</li>`
+          )
+          .join("")}</ol>`;
+      }
+      const heading = block.match(/^#{1,6}\s+(.*)$/);
+      if (heading && lines.length === 1) {
+        return `<h3>${renderInlineMarkdown(heading[1])}</h3>`;
+      }
+      return `<p>${lines.map(renderInlineMarkdown).join("<br>")}</p>`;
+    })
+    .join("");
+}
+
+// Turn the API description into safe HTML ("" when there's nothing to show)
+export function renderDescription(description) {
+  if (Array.isArray(description)) return renderRichTextBlocks(description);
+  if (typeof description === "string" && description.trim()) {
+    return renderMarkdown(description);
+  }
+  return "";
+}
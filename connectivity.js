@@ -0,0 +1,145 @@
+// Connectivity diagnosis: works out why a sketch couldn't be loaded, so the
+// error page can say what's wrong and what to do about it.
+import { storage } from "./storage.js";
+import { SketchFetchError, SketchValidationError } from "./source.js";
+import { BlockedSketchesError } from "./queue.js";
+import { t } from "./i18n.js";
+
+// The probe should answer with an empty 204. Anything else (a login page, a
+// redirect) means a captive portal is in the way.
+export const DEFAULT_PROBE_URL = "https://www.google.com/generate_204";
+
+const PROBE_TIMEOUT_MS = 4000;
+
+// Diagnosed states, each with its own copy on the error page
+export const STATE_OFFLINE = "offline";
+export const STATE_CAPTIVE_PORTAL = "captive_portal";
+export const STATE_TIMEOUT = "timeout";
+export const STATE_SERVICE_ISSUE = "service_issue"; // API unreachable
+export const STATE_SERVER_ERROR = "server_error"; // API 5xx
+export const STATE_CLIENT_ERROR = "client_error"; // API 4xx
+export const STATE_RATE_LIMITED = "rate_limited"; // API 429
+export const STATE_MALFORMED = "malformed_response";
+export const STATE_ALL_BLOCKED = "all_blocked"; // only blocked sketches
+
+// Whether a state is a problem with the sketch source rather than the
+// connection. Those are remembered for a while, so each new tab doesn't wait
+// on a struggling source again.
+export function isSourceState(state) {
+  return state !== STATE_OFFLINE && state !== STATE_CAPTIVE_PORTAL;
+}
+
+export async function getProbeUrl() {
+  return (await storage.get("probeUrl", null)) || DEFAULT_PROBE_URL;
+}
+
+// Save a custom probe URL. Pass a falsy url to go back to the default.
+export async function setProbeUrl(url) {
+  if (url) {
+    const problem = checkProbeUrl(url);
+    if (problem) throw new Error(problem);
+  }
+  await storage.set("probeUrl", url || null);
+}
+
+// Returns a problem description, or null if OK
+export function checkProbeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== "https:" && parsed.protocol !== "http:") {
+      return "The connectivity check must be an http or https URL";
+    }
+  } catch {
+    return "The connectivity check isn't a valid URL";
+  }
+  return null;
+}
+
+// Run request(signal), aborting it after ms
+export async function withTimeout(request, ms = PROBE_TIMEOUT_MS) {
+  const ctrl = new AbortController();
+  const id = setTimeout(() => ctrl.abort(), ms);
+  try {
+    return await request(ctrl.signal);
+  } finally {
+    clearTimeout(id);
+  }
+}
+
+// Check general internet access. Resolves to "ok", "captive_portal" or
+// "unreachable".
+async function probeInternet() {
+  const probeUrl = await getProbeUrl();
+  try {
+    const res = await withTimeout((signal) =>
+      fetch(probeUrl, { cache: "no-store", signal })
+    );
+    return res.status === 204 && !res.redirected ? "ok" : "captive_portal";
+  } catch {
+    // The extension may not have permission to read a custom probe's
+    // response. An opaque response still shows the network is up.
+    try {
+      await withTimeout((signal) =>
+        fetch(probeUrl, { mode: "no-cors", cache: "no-store", signal })
+      );
+      return "ok";
+    } catch {
+      return "unreachable";
+    }
+  }
+}
+
+function formatWait(seconds) {
+  if (seconds < 60) return t("waitSeconds", seconds);
+  const minutes = Math.ceil(seconds / 60);
+  return minutes === 1 ? t("waitMinute") : t("waitMinutes", minutes);
+}
+
+// Diagnose why loading a sketch failed. err is the error from fetching it, if
+// there was one. Resolves to { state, detail, retryAfter }, where detail is a
+// short technical note for the error page (or null) and retryAfter is how many
+// seconds a rate-limited source asked to be left alone for (or null).
+export async function diagnoseConnectivity(err = null) {
+  // 1) Quick offline check
+  if (!navigator.onLine) {
+    return { state: STATE_OFFLINE, detail: null };
+  }
+
+  // 2) The source answered, so the connection is fine
+  if (err instanceof SketchValidationError) {
+    return { state: STATE_MALFORMED, detail: err.problems.join("; ") };
+  }
+  if (err instanceof BlockedSketchesError) {
+    return { state: STATE_ALL_BLOCKED, detail: null };
+  }
+  if (err instanceof SketchFetchError && err.kind === "http") {
+    if (err.status === 429) {
+      return {
+        state: STATE_RATE_LIMITED,
+        detail: err.retryAfter
+          ? `HTTP 429 · ${t("tryAgainIn", formatWait(err.retryAfter))}`
+          : "HTTP 429",
+        retryAfter: err.retryAfter,
+      };
+    }
+    return {
+      state: err.status >= 500 ? STATE_SERVER_ERROR : STATE_CLIENT_ERROR,
+      detail: `HTTP ${err.status}`,
+    };
+  }
+
+  // 3) Probe general internet
+  const internet = await probeInternet();
+  if (internet === "unreachable") {
+    return { state: STATE_OFFLINE, detail: null };
+  }
+  if (internet === "captive_portal") {
+    return { state: STATE_CAPTIVE_PORTAL, detail: null };
+  }
+
+  // 4) Internet works but the source didn't answer
+  if (err instanceof SketchFetchError && err.kind === "timeout") {
+    return { state: STATE_TIMEOUT, detail: err.message };
+  }
+  return { state: STATE_SERVICE_ISSUE, detail: err ? err.message : null };
+}
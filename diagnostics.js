@@ -0,0 +1,173 @@
+// Developer diagnostics: fetch attempt log, timings and an overlay that shows
+// everything in storage, with actions to force error states and reset things.
+// Open it on a new tab with the Konami code: ↑ ↑ ↓ ↓ ← → ← →
+import { storage } from "./storage.js";
+import { escapeHtml } from "./caption.js";
+
+const FETCH_LOG_SIZE = 20;
+
+// Time from page start to the first sketch on screen, for this tab
+let timeToFirstSketch = null;
+
+// Keep a log of fetch attempts (across tabs) so bug reports have the details
+export async function recordFetchAttempt(attempt) {
+  const log = await storage.get("fetchLog", []);
+  log.unshift({ at: new Date().toISOString(), ...attempt });
+  while (log.length > FETCH_LOG_SIZE) log.pop();
+  await storage.set("fetchLog", log);
+}
+
+export function markFirstSketch() {
+  if (timeToFirstSketch === null) {
+    timeToFirstSketch = Math.round(performance.now());
+  }
+}
+
+export function isDiagnosticsOpen() {
+  return !!document.getElementById("diagnostics");
+}
+
+export function closeDiagnostics() {
+  const overlay = document.getElementById("diagnostics");
+  if (overlay) overlay.remove();
+}
+
+function formatValue(value) {
+  const json = JSON.stringify(value, null, 2);
+  return json === undefined ? "undefined" : json;
+}
+
+function renderFetchLog(log) {
+  if (log.length === 0) {
+    return `<p class="diagnostics-empty">No fetch attempts recorded yet.</p>`;
+  }
+  return `
+    <table class="diagnostics-table">
+      <thead>
+        <tr><th>Time</th><th>Latency</th><th>Retry</th><th>Result</th></tr>
+      </thead>
+      <tbody>
+        ${log
+          .map(
+            (attempt) => `
+          <tr class="${attempt.ok ? "" : "diagnostics-failure"}">
+            <td>${escapeHtml(new Date(attempt.at).toLocaleTimeString())}</td>
+            <td>${escapeHtml(attempt.latencyMs)} ms</td>
+            <td>${escapeHtml(attempt.retryCount)}</td>
+            <td>${escapeHtml(
+              attempt.ok ? `OK · ${attempt.uid}` : attempt.reason
+            )}</td>
+          </tr>`
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+// Show the diagnostics overlay. actions maps button ids to handlers that the
+// new tab page provides (forcing error states, clearing caches and so on).
+export async function openDiagnostics(actions) {
+  closeDiagnostics();
+
+  const stored = await storage.getAll();
+  const log = stored.fetchLog || [];
+  const keys = Object.keys(stored)
+    .filter((key) => key !== "fetchLog")
+    .sort();
+
+  const overlay = document.createElement("div");
+  overlay.id = "diagnostics";
+  overlay.className = "diagnostics";
+  overlay.setAttribute("role", "dialog");
+  overlay.setAttribute("aria-labelledby", "diagnosticsTitle");
+  overlay.innerHTML = `
+    <div class="diagnostics-header">
+      <h2 id="diagnosticsTitle">Diagnostics</h2>
+      <button class="diagnostics-close" data-action="close" aria-label="Close diagnostics">×</button>
+    </div>
+
+    <section>
+      <h3>Timing</h3>
+      <p>Time to first sketch: ${
+        timeToFirstSketch === null
+          ? "no sketch shown yet"
+          : `${timeToFirstSketch} ms`
+      }</p>
+      <p>Online: ${navigator.onLine ? "yes" : "no"}</p>
+    </section>
+
+    <section>
+      <h3>Recent fetch attempts</h3>
+      ${renderFetchLog(log)}
+    </section>
+
+    <section>
+      <h3>Actions</h3>
+      <div class="diagnostics-actions">
+        <button data-action="forceOffline">Show offline</button>
+        <button data-action="forceServiceIssue">Show service issue</button>
+        <button data-action="forceTimeout">Show timeout</button>
+        <button data-action="toggleTestMode">${
+          stored.testOfflineMode ? "Turn off" : "Turn on"
+        } test offline mode</button>
+        <button data-action="clearCaches">Clear caches</button>
+        <button data-action="resetSchedule">Reset schedule</button>
+        <button data-action="copyReport">Copy report</button>
+      </div>
+    </section>
+
+    <section>
+      <h3>Storage</h3>
+      <dl class="diagnostics-storage">
+        ${keys
+          .map(
+            (key) => `
+          <dt>${escapeHtml(key)}</dt>
+          <dd><pre>${escapeHtml(formatValue(stored[key]))}</pre></dd>`
+          )
+          .join("")}
+      </dl>
+    </section>
+  `;
+
+  const report = {
+    userAgent: navigator.userAgent,
+    online: navigator.onLine,
+    timeToFirstSketch,
+    storage: stored,
+  };
+  const handlers = {
+    ...actions,
+    close: closeDiagnostics,
+    copyReport: async () => {
+      await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+    },
+  };
+
+  overlay.querySelectorAll("[data-action]").forEach((button) => {
+    button.onclick = async () => {
+      const handler = handlers[button.dataset.action];
+      if (!handler) return;
+      try {
+        await handler();
+      } catch (err) {
+        console.error(
+          `Diagnostics action "${button.dataset.action}" failed:`,
+          err
+        );
+      }
+      // Refresh to show the effect, unless the action closed the overlay
+      if (isDiagnosticsOpen() && button.dataset.action !== "close") {
+        await openDiagnostics(actions);
+      }
+    };
+  });
+
+  overlay.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") closeDiagnostics();
+  });
+
+  document.body.appendChild(overlay);
+  overlay.querySelector(".diagnostics-close").focus();
+}
@@ -0,0 +1,106 @@
+// Which sketches to show: ones never to show again, and topics to prefer or
+// avoid
+// Blocked sketches are stored as { uid, title, blockedAt }, newest first, so
+// the options page can list them by name. Topic filters are
+// { include, exclude } lists. A topic matches a sketch's tags when the source
+// provides them, and otherwise the same words in its title or description.
+import { storage } from "./storage.js";
+import { descriptionText, tokenize } from "./search.js";
+
+export const BLOCKED_KEY = "blockedSketches";
+export const TOPICS_KEY = "topicFilters";
+
+// How well a sketch suits the topic filters, best first
+export const TOPIC_MATCH = 0; // an included topic, or no topics to include
+export const TOPIC_OTHER = 1; // none of the included topics
+export const TOPIC_EXCLUDED = 2; // an excluded topic
+
+export async function getBlockedSketches() {
+  return await storage.get(BLOCKED_KEY, []);
+}
+
+export async function getBlockedUids() {
+  return (await getBlockedSketches()).map((entry) => entry.uid);
+}
+
+export async function blockSketch(sketch) {
+  const blocked = await getBlockedSketches();
+  if (blocked.some((entry) => entry.uid === sketch.uid)) return;
+  blocked.unshift({
+    uid: sketch.uid,
+    title: sketch.title || sketch.uid,
+    blockedAt: new Date().toISOString(),
+  });
+  await storage.set(BLOCKED_KEY, blocked);
+}
+
+export async function unblockSketch(uid) {
+  const blocked = await getBlockedSketches();
+  await storage.set(
+    BLOCKED_KEY,
+    blocked.filter((entry) => entry.uid !== uid)
+  );
+}
+
+// Each topic as its words, dropping empty and repeated ones
+function normalizeTopicList(value) {
+  if (!Array.isArray(value)) return [];
+  const topics = value
+    .filter((topic) => typeof topic === "string")
+    .map((topic) => tokenize(topic).join(" "))
+    .filter(Boolean);
+  return [...new Set(topics)];
+}
+
+export function normalizeTopicFilters(value) {
+  return {
+    include: normalizeTopicList(value?.include),
+    exclude: normalizeTopicList(value?.exclude),
+  };
+}
+
+// Topics typed as a comma-separated list
+export function parseTopics(text) {
+  return normalizeTopicList(text.split(/[,\n]/));
+}
+
+export async function getTopicFilters() {
+  return normalizeTopicFilters(await storage.get(TOPICS_KEY, null));
+}
+
+export async function setTopicFilters(filters) {
+  await storage.set(TOPICS_KEY, normalizeTopicFilters(filters));
+}
+
+export function hasTopicFilters(filters) {
+  return filters.include.length > 0 || filters.exclude.length > 0;
+}
+
+// Whether words has the words of topic in a row
+function containsPhrase(words, topic) {
+  return ` ${words.join(" ")} `.includes(` ${topic} `);
+}
+
+function matchesTopic(sketch, topic) {
+  if (Array.isArray(sketch.tags) && sketch.tags.length > 0) {
+    return sketch.tags.some((tag) => tokenize(tag).join(" ") === topic);
+  }
+  return (
+    containsPhrase(tokenize(sketch.title), topic) ||
+    containsPhrase(tokenize(descriptionText(sketch.description)), topic)
+  );
+}
+
+// TOPIC_MATCH, TOPIC_OTHER or TOPIC_EXCLUDED for a sketch
+export function topicRank(sketch, filters) {
+  if (filters.exclude.some((topic) => matchesTopic(sketch, topic))) {
+    return TOPIC_EXCLUDED;
+  }
+  if (
+    filters.include.length > 0 &&
+    !filters.include.some((topic) => matchesTopic(sketch, topic))
+  ) {
+    return TOPIC_OTHER;
+  }
+  return TOPIC_MATCH;
+}
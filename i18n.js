@@ -0,0 +1,96 @@
+// Localized strings
+// Messages live in _locales/<language>/messages.json and are read with
+// chrome.i18n. When a page runs outside the extension (opened from disk or a
+// local server while developing) there's no chrome.i18n, so loadMessages
+// fetches the catalogs itself: the browser's language over English.
+
+export const DEFAULT_LOCALE = "en";
+
+// Attributes that can be localized in markup, as data-i18n-<attribute>
+const LOCALIZED_ATTRIBUTES = ["title", "aria-label", "alt", "placeholder"];
+
+// Messages fetched for pages outside the extension, or null
+let fallbackMessages = null;
+
+function hasI18n() {
+  return typeof chrome !== "undefined" && !!chrome.i18n?.getMessage;
+}
+
+// The language the UI is in, like "en-GB", for Intl formatting
+export function uiLocale() {
+  if (hasI18n()) return chrome.i18n.getUILanguage();
+  return navigator.language || DEFAULT_LOCALE;
+}
+
+async function fetchCatalog(locale) {
+  try {
+    const res = await fetch(
+      new URL(`_locales/${locale}/messages.json`, import.meta.url)
+    );
+    return res.ok ? await res.json() : {};
+  } catch {
+    return {};
+  }
+}
+
+// Load the catalogs when chrome.i18n isn't there (a language without one just
+// gets English). Call before the first t().
+export async function loadMessages() {
+  if (hasI18n() || fallbackMessages) return;
+  const language = uiLocale().split("-")[0].toLowerCase();
+  fallbackMessages = await fetchCatalog(DEFAULT_LOCALE);
+  if (language !== DEFAULT_LOCALE) {
+    fallbackMessages = {
+      ...fallbackMessages,
+      ...(await fetchCatalog(language)),
+    };
+  }
+}
+
+// Fill in a catalog entry the way chrome.i18n does: $name$ stands for the
+// placeholder's content, which refers to substitutions as $1 to $9
+function formatMessage(entry, substitutions = []) {
+  const placeholders = entry.placeholders || {};
+  return entry.message
+    .replace(
+      /\$([a-z0-9_@]+)\$/gi,
+      (match, name) => placeholders[name.toLowerCase()]?.content ?? match
+    )
+    .replace(/\$(\d)|\$\$/g, (match, index) =>
+      index ? substitutions[index - 1] ?? "" : "$"
+    );
+}
+
+// The message for key, with substitutions (a value or a list of them) filled
+// in. Falls back to the key itself, so a missing message is easy to spot.
+export function t(key, substitutions = []) {
+  const values = [].concat(substitutions).map(String);
+  if (hasI18n()) {
+    const message = chrome.i18n.getMessage(key, values);
+    if (message) return message;
+  }
+  const entry = fallbackMessages?.[key];
+  return entry ? formatMessage(entry, values) : key;
+}
+
+// Localize markup: data-i18n="key" replaces an element's text, and
+// data-i18n-title (and the other LOCALIZED_ATTRIBUTES) set that attribute
+export function localizePage(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((element) => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  LOCALIZED_ATTRIBUTES.forEach((attribute) => {
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((element) => {
+      element.setAttribute(
+        attribute,
+        t(element.getAttribute(`data-i18n-${attribute}`))
+      );
+    });
+  });
+
+  if (root === document) {
+    document.documentElement.lang = uiLocale();
+    document.documentElement.dir =
+      (hasI18n() && chrome.i18n.getMessage("@@bidi_dir")) || "ltr";
+  }
+}
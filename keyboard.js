@@ -0,0 +1,251 @@
+// Keyboard shortcuts
+// Commands have default keys that can be changed in the options page (saved
+// as "keyBindings": command id → list of keys). The new tab page runs one
+// keydown listener that turns keys into commands. A binding can also be a
+// sequence of keys separated by spaces, like the diagnostics code.
+import { storage } from "./storage.js";
+import { el } from "./view.js";
+import { t } from "./i18n.js";
+
+// In the order they're listed in the cheat sheet, with the message key for
+// each one's description. Fixed commands can't be rebound.
+export const COMMANDS = [
+  { id: "next", message: "commandNext", keys: ["n"] },
+  { id: "back", message: "commandBack", keys: ["ArrowLeft"] },
+  { id: "forward", message: "commandForward", keys: ["ArrowRight"] },
+  { id: "zoom", message: "commandZoom", keys: ["z"] },
+  { id: "open", message: "commandOpen", keys: ["v"] },
+  { id: "copy", message: "commandCopy", keys: ["c"] },
+  { id: "favorite", message: "commandFavorite", keys: ["f"] },
+  { id: "search", message: "commandSearch", keys: ["/"] },
+  { id: "help", message: "commandHelp", keys: ["?"] },
+  {
+    id: "close",
+    message: "commandClose",
+    keys: ["Escape"],
+    fixed: true,
+  },
+  {
+    id: "diagnostics",
+    message: "commandDiagnostics",
+    keys: [
+      "ArrowUp ArrowUp ArrowDown ArrowDown ArrowLeft ArrowRight ArrowLeft ArrowRight",
+    ],
+    fixed: true,
+  },
+];
+
+// Keys that can't be bound: they move focus or press buttons
+const RESERVED_KEYS = ["Tab", "Enter", " ", "Shift", "Control", "Alt", "Meta"];
+
+const KEY_LABELS = {
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  Escape: "Esc",
+};
+
+// The key an event stands for, or null for keys that can't be shortcuts.
+// Letters are case-insensitive; combinations with Ctrl, Alt or Cmd are left
+// to the browser.
+export function keyName(e) {
+  if (e.ctrlKey || e.altKey || e.metaKey) return null;
+  if (RESERVED_KEYS.includes(e.key) || e.key === "Unidentified") return null;
+  return e.key.length === 1 ? e.key.toLowerCase() : e.key;
+}
+
+export function keyLabel(binding) {
+  return binding
+    .split(" ")
+    .map(
+      (key) => KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key)
+    )
+    .join(" ");
+}
+
+// Every command's keys: stored bindings for commands that can be rebound,
+// defaults for the rest
+export function normalizeBindings(value) {
+  const stored =
+    value && typeof value === "object" && !Array.isArray(value) ? value : {};
+  return Object.fromEntries(
+    COMMANDS.map((command) => {
+      const keys = stored[command.id];
+      const valid =
+        !command.fixed &&
+        Array.isArray(keys) &&
+        keys.every((key) => typeof key === "string" && key !== "");
+      return [command.id, valid ? keys : command.keys];
+    })
+  );
+}
+
+export async function getKeyBindings() {
+  return normalizeBindings(await storage.get("keyBindings", null));
+}
+
+// Bind a single key to a command (or no key, if key is null), taking it
+// away from any other command. Returns the ids of commands that lost the key.
+export async function setKeyBinding(id, key) {
+  const bindings = await getKeyBindings();
+  const displaced = [];
+  Object.entries(bindings).forEach(([otherId, keys]) => {
+    if (key && otherId !== id && keys.includes(key)) {
+      bindings[otherId] = keys.filter((other) => other !== key);
+      displaced.push(otherId);
+    }
+  });
+  bindings[id] = key ? [key] : [];
+  await storage.set("keyBindings", onlyChanged(bindings));
+  return displaced;
+}
+
+export async function resetKeyBindings() {
+  await storage.set("keyBindings", null);
+}
+
+// Only store bindings that differ from the defaults
+function onlyChanged(bindings) {
+  return Object.fromEntries(
+    COMMANDS.filter(
+      (command) =>
+        !command.fixed &&
+        bindings[command.id].join("\n") !== command.keys.join("\n")
+    ).map((command) => [command.id, bindings[command.id]])
+  );
+}
+
+function isTyping(target) {
+  return !!target.closest?.("input, select, textarea, [contenteditable]");
+}
+
+// Listen for shortcuts. handlers maps command ids to functions. Returns a
+// function to call with new bindings.
+export function listenForCommands(handlers, bindings) {
+  let current = bindings;
+  // Keys typed so far that could still complete a sequence
+  let pending = [];
+
+  document.addEventListener("keydown", (e) => {
+    if (e.defaultPrevented || e.repeat) return;
+    const key = keyName(e);
+    if (!key) return;
+    // Let people type, but Escape still closes things
+    if (isTyping(e.target) && key !== "Escape") return;
+
+    const bound = Object.entries(current).flatMap(([id, keys]) =>
+      keys.map((binding) => ({ id, keys: binding.split(" ") }))
+    );
+
+    // Keys partway through a sequence belong to it, so (for example) the
+    // arrows in the diagnostics code don't step through history
+    const sequencesStartingWith = (typed) =>
+      bound.filter(
+        (binding) =>
+          binding.keys.length > 1 &&
+          typed.every((typedKey, i) => binding.keys[i] === typedKey)
+      );
+    let typed = [...pending, key];
+    let continuing = sequencesStartingWith(typed);
+    // After a wrong key, the last few keys may still start a sequence
+    while (continuing.length === 0 && typed.length > 1) {
+      typed = typed.slice(1);
+      continuing = sequencesStartingWith(typed);
+    }
+    pending = continuing.length > 0 ? typed : [];
+
+    const complete = continuing.find(
+      (binding) => binding.keys.length === typed.length
+    );
+    if (complete) {
+      pending = [];
+      e.preventDefault();
+      handlers[complete.id]?.(e);
+      return;
+    }
+    if (typed.length > 1 && continuing.length > 0) return;
+
+    const single = bound.find(
+      (binding) => binding.keys.length === 1 && binding.keys[0] === key
+    );
+    if (single && handlers[single.id]) {
+      e.preventDefault();
+      handlers[single.id](e);
+    }
+  });
+
+  return (bindings) => {
+    current = bindings;
+    pending = [];
+  };
+}
+
+// ---- Cheat sheet ----
+
+export function isShortcutHelpOpen() {
+  return !!document.getElementById("shortcutHelp");
+}
+
+export function closeShortcutHelp() {
+  const overlay = document.getElementById("shortcutHelp");
+  if (overlay) overlay.remove();
+}
+
+export function openShortcutHelp(bindings) {
+  closeShortcutHelp();
+
+  const overlay = el(
+    "div",
+    {
+      id: "shortcutHelp",
+      class: "shortcut-help",
+      role: "dialog",
+      "aria-modal": "true",
+      "aria-labelledby": "shortcutHelpTitle",
+    },
+    el(
+      "div",
+      { class: "shortcut-help-panel" },
+      el(
+        "div",
+        { class: "shortcut-help-header" },
+        el("h2", { id: "shortcutHelpTitle" }, t("shortcutsTitle")),
+        el(
+          "button",
+          { class: "shortcut-help-close", "aria-label": t("close") },
+          "×"
+        )
+      ),
+      el(
+        "dl",
+        { class: "shortcut-list" },
+        COMMANDS.map((command) => [
+          el("dt", {}, t(command.message)),
+          el(
+            "dd",
+            {},
+            bindings[command.id].length === 0
+              ? el("span", { class: "shortcut-none" }, t("shortcutNotSet"))
+              : bindings[command.id].map((binding, i) => [
+                  i > 0 && [" ", t("shortcutOr"), " "],
+                  binding
+                    .split(" ")
+                    .map((key) => [el("kbd", {}, keyLabel(key)), " "]),
+                ])
+          ),
+        ])
+      ),
+      el("p", { class: "shortcut-help-hint" }, t("shortcutsHint"))
+    )
+  );
+
+  overlay.querySelector(".shortcut-help-close").onclick = closeShortcutHelp;
+  // Clicking outside the panel closes it
+  overlay.onclick = (e) => {
+    if (e.target === overlay) closeShortcutHelp();
+  };
+
+  document.body.appendChild(overlay);
+  overlay.querySelector(".shortcut-help-close").focus();
+}
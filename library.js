@@ -0,0 +1,179 @@
+// Offline sketch library
+// Keeps the metadata and image bytes of recently shown sketches in IndexedDB
+// so the new tab can still show a real sketch when there's no connection.
+
+const DB_NAME = "sketchplanations";
+const DB_VERSION = 1;
+const STORE = "library";
+
+// Size limits for the library (oldest sketches are evicted first)
+export const LIBRARY_MAX_SKETCHES = 30;
+export const LIBRARY_MAX_BYTES = 25 * 1024 * 1024; // 25 MB
+
+// Object URL for the library image currently on screen
+let currentObjectUrl = null;
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, { keyPath: "uid" });
+        store.createIndex("savedAt", "savedAt");
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run a callback against the library store and resolve when the transaction completes
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      let result;
+      Promise.resolve(callback(tx.objectStore(STORE))).then((value) => {
+        result = value;
+      }, reject);
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function getAllEntries() {
+  return await withStore("readonly", (store) =>
+    requestToPromise(store.getAll())
+  );
+}
+
+async function evictOldEntries() {
+  const entries = await getAllEntries();
+
+  // Newest first, so everything past the limits is the oldest
+  entries.sort((a, b) => b.savedAt - a.savedAt);
+
+  const toEvict = [];
+  let totalBytes = 0;
+  entries.forEach((entry, index) => {
+    totalBytes += entry.size;
+    if (index >= LIBRARY_MAX_SKETCHES || totalBytes > LIBRARY_MAX_BYTES) {
+      toEvict.push(entry.uid);
+    }
+  });
+
+  if (toEvict.length === 0) return;
+
+  await withStore("readwrite", (store) => {
+    toEvict.forEach((uid) => store.delete(uid));
+  });
+}
+
+// Save a sketch and its image bytes to the library
+export async function saveToLibrary(sketchData) {
+  if (!sketchData || !sketchData.uid || !sketchData.image) return;
+
+  const existing = await withStore("readonly", (store) =>
+    requestToPromise(store.get(sketchData.uid))
+  );
+  if (existing) return;
+
+  const res = await fetch(sketchData.image);
+  if (!res.ok) throw new Error("Failed to fetch sketch image: " + res.status);
+  const imageBlob = await res.blob();
+
+  // Skip images that could never fit in the library
+  if (imageBlob.size > LIBRARY_MAX_BYTES) return;
+
+  await withStore("readwrite", (store) => {
+    store.put({
+      uid: sketchData.uid,
+      sketch: sketchData,
+      imageBlob,
+      size: imageBlob.size,
+      savedAt: Date.now(),
+      lastShownAt: 0,
+    });
+  });
+
+  await evictOldEntries();
+}
+
+// Get the library sketch that was shown least recently, with its image
+// pointing at the locally stored bytes. Sketches in skipUids (blocked ones)
+// are left out. Returns null if there's nothing else in the library.
+export async function nextLibrarySketch(skipUids = []) {
+  const entries = (await getAllEntries()).filter(
+    (entry) => !skipUids.includes(entry.uid)
+  );
+  if (entries.length === 0) return null;
+
+  entries.sort((a, b) => a.lastShownAt - b.lastShownAt);
+  const entry = entries[0];
+
+  entry.lastShownAt = Date.now();
+  await withStore("readwrite", (store) => {
+    store.put(entry);
+  });
+
+  return toLocalSketch(entry);
+}
+
+// Get a specific sketch from the library, or null if it isn't saved
+export async function getLibrarySketch(uid) {
+  const entry = await withStore("readonly", (store) =>
+    requestToPromise(store.get(uid))
+  );
+  return entry ? toLocalSketch(entry) : null;
+}
+
+function toLocalSketch(entry) {
+  if (currentObjectUrl) URL.revokeObjectURL(currentObjectUrl);
+  currentObjectUrl = URL.createObjectURL(entry.imageBlob);
+  return {
+    ...entry.sketch,
+    image: currentObjectUrl,
+    remoteImage: entry.sketch.image,
+  };
+}
+
+export async function removeFromLibrary(uid) {
+  await withStore("readwrite", (store) => {
+    store.delete(uid);
+  });
+}
+
+export async function getLibraryUsage() {
+  const entries = await getAllEntries();
+  return {
+    count: entries.length,
+    bytes: entries.reduce((total, entry) => total + entry.size, 0),
+    maxCount: LIBRARY_MAX_SKETCHES,
+    maxBytes: LIBRARY_MAX_BYTES,
+  };
+}
+
+export async function clearLibrary() {
+  await withStore("readwrite", (store) => {
+    store.clear();
+  });
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,278 @@
+// Sketch viewer: the sketch image full-window, with zoom (wheel, pinch or
+// + and -), drag to pan, fit to width or height, and fullscreen
+import { el } from "./view.js";
+import { t, uiLocale } from "./i18n.js";
+
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 8;
+const ZOOM_STEP = 1.25;
+const PAN_STEP = 60;
+
+// Fit modes: the whole sketch, its width or its height. Zooming by hand
+// turns fitting off until one is chosen again.
+const FIT_CONTAIN = "contain";
+const FIT_WIDTH = "width";
+const FIT_HEIGHT = "height";
+
+// The open viewer's state, or null when it's closed
+let viewer = null;
+
+export function isLightboxOpen() {
+  return !!viewer;
+}
+
+export function closeLightbox() {
+  if (!viewer) return;
+  const { overlay, opener, onResize } = viewer;
+  viewer = null;
+  window.removeEventListener("resize", onResize);
+  document.removeEventListener("keydown", handleKeydown, true);
+  if (document.fullscreenElement === overlay) {
+    document.exitFullscreen().catch(() => {});
+  }
+  overlay.remove();
+  // Put focus back where it was
+  if (opener && opener.isConnected) opener.focus();
+}
+
+function applyTransform() {
+  const { image, scale, x, y, zoomLabel } = viewer;
+  image.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+  zoomLabel.textContent = scale.toLocaleString(uiLocale(), {
+    style: "percent",
+  });
+}
+
+function stageSize() {
+  const rect = viewer.stage.getBoundingClientRect();
+  return { width: rect.width, height: rect.height };
+}
+
+// Scale the image to fit the stage and center it
+function fit(mode) {
+  const { image } = viewer;
+  const stage = stageSize();
+  if (!image.naturalWidth || !stage.width) return;
+  const widthScale = stage.width / image.naturalWidth;
+  const heightScale = stage.height / image.naturalHeight;
+  const scale =
+    mode === FIT_WIDTH
+      ? widthScale
+      : mode === FIT_HEIGHT
+      ? heightScale
+      : Math.min(widthScale, heightScale, 1);
+
+  viewer.fitMode = mode;
+  viewer.scale = scale;
+  viewer.x = (stage.width - image.naturalWidth * scale) / 2;
+  // A sketch taller than the window starts at its top
+  viewer.y = Math.max(0, (stage.height - image.naturalHeight * scale) / 2);
+  applyTransform();
+}
+
+// Zoom by factor, keeping the point (px, py) on the stage where it is
+function zoomAt(factor, px, py) {
+  const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, viewer.scale * factor));
+  const ratio = scale / viewer.scale;
+  viewer.x = px - (px - viewer.x) * ratio;
+  viewer.y = py - (py - viewer.y) * ratio;
+  viewer.scale = scale;
+  viewer.fitMode = null;
+  applyTransform();
+}
+
+function zoomAtCenter(factor) {
+  const stage = stageSize();
+  zoomAt(factor, stage.width / 2, stage.height / 2);
+}
+
+function panBy(dx, dy) {
+  viewer.x += dx;
+  viewer.y += dy;
+  applyTransform();
+}
+
+function toggleFullscreen() {
+  if (document.fullscreenElement) {
+    document.exitFullscreen().catch(() => {});
+  } else if (viewer.overlay.requestFullscreen) {
+    viewer.overlay.requestFullscreen().catch((err) => {
+      console.warn("Couldn't go fullscreen:", err.message);
+    });
+  }
+}
+
+// Drag with one pointer to pan, pinch with two to zoom
+function setupPointers(stage) {
+  const pointers = new Map();
+  let pinchDistance = null;
+
+  const pinch = () => {
+    const [a, b] = [...pointers.values()];
+    const rect = stage.getBoundingClientRect();
+    return {
+      distance: Math.hypot(a.x - b.x, a.y - b.y),
+      x: (a.x + b.x) / 2 - rect.left,
+      y: (a.y + b.y) / 2 - rect.top,
+    };
+  };
+
+  stage.addEventListener("pointerdown", (e) => {
+    stage.setPointerCapture(e.pointerId);
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (pointers.size === 2) pinchDistance = pinch().distance;
+    stage.classList.add("is-dragging");
+  });
+
+  stage.addEventListener("pointermove", (e) => {
+    const last = pointers.get(e.pointerId);
+    if (!last) return;
+
+    if (pointers.size === 1) {
+      panBy(e.clientX - last.x, e.clientY - last.y);
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    } else if (pointers.size === 2) {
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      const current = pinch();
+      zoomAt(current.distance / pinchDistance, current.x, current.y);
+      pinchDistance = current.distance;
+    }
+  });
+
+  const release = (e) => {
+    pointers.delete(e.pointerId);
+    pinchDistance = pointers.size === 2 ? pinch().distance : null;
+    if (pointers.size === 0) stage.classList.remove("is-dragging");
+  };
+  stage.addEventListener("pointerup", release);
+  stage.addEventListener("pointercancel", release);
+
+  // Trackpad pinches arrive as wheel events with ctrlKey set
+  stage.addEventListener(
+    "wheel",
+    (e) => {
+      e.preventDefault();
+      const rect = stage.getBoundingClientRect();
+      const speed = e.ctrlKey ? 0.01 : 0.002;
+      zoomAt(
+        Math.exp(-e.deltaY * speed),
+        e.clientX - rect.left,
+        e.clientY - rect.top
+      );
+    },
+    { passive: false }
+  );
+}
+
+function handleKeydown(e) {
+  const actions = {
+    Escape: closeLightbox,
+    "+": () => zoomAtCenter(ZOOM_STEP),
+    "=": () => zoomAtCenter(ZOOM_STEP),
+    "-": () => zoomAtCenter(1 / ZOOM_STEP),
+    0: () => fit(FIT_CONTAIN),
+    w: () => fit(FIT_WIDTH),
+    h: () => fit(FIT_HEIGHT),
+    f: toggleFullscreen,
+    z: closeLightbox,
+    ArrowLeft: () => panBy(PAN_STEP, 0),
+    ArrowRight: () => panBy(-PAN_STEP, 0),
+    ArrowUp: () => panBy(0, PAN_STEP),
+    ArrowDown: () => panBy(0, -PAN_STEP),
+  };
+  const action = actions[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+  if (e.metaKey || e.ctrlKey || e.altKey) return;
+  // The page's shortcuts shouldn't act on the sketch underneath. Keys the
+  // viewer doesn't use (Tab, Enter on a button) still do their usual thing.
+  e.stopPropagation();
+  if (!action) return;
+  e.preventDefault();
+  action();
+}
+
+function toolbarButton(label, title, onclick, attrs = {}) {
+  const button = el(
+    "button",
+    { class: "lightbox-btn", title, "aria-label": title, ...attrs },
+    label
+  );
+  button.onclick = onclick;
+  return button;
+}
+
+// Open the viewer on an image. src must already be a safe URL (it's the one
+// the sketch view is showing).
+export function openLightbox({ src, alt }) {
+  closeLightbox();
+
+  const image = el("img", {
+    class: "lightbox-img",
+    src,
+    alt,
+    draggable: "false",
+  });
+  const stage = el("div", { class: "lightbox-stage" }, image);
+  const zoomLabel = el("span", {
+    class: "lightbox-zoom",
+    "aria-live": "polite",
+  });
+  const overlay = el(
+    "div",
+    {
+      id: "lightbox",
+      class: "lightbox",
+      role: "dialog",
+      "aria-modal": "true",
+      "aria-label": t("viewerLabel"),
+    },
+    el(
+      "div",
+      { class: "lightbox-toolbar" },
+      toolbarButton("−", t("viewerZoomOut"), () => zoomAtCenter(1 / ZOOM_STEP)),
+      zoomLabel,
+      toolbarButton("+", t("viewerZoomIn"), () => zoomAtCenter(ZOOM_STEP)),
+      toolbarButton(t("viewerFit"), t("viewerFitTitle"), () =>
+        fit(FIT_CONTAIN)
+      ),
+      toolbarButton(t("viewerWidth"), t("viewerWidthTitle"), () =>
+        fit(FIT_WIDTH)
+      ),
+      toolbarButton(t("viewerHeight"), t("viewerHeightTitle"), () =>
+        fit(FIT_HEIGHT)
+      ),
+      document.fullscreenEnabled &&
+        toolbarButton("⛶", t("viewerFullscreen"), toggleFullscreen),
+      toolbarButton("×", t("viewerClose"), closeLightbox, {
+        class: "lightbox-btn lightbox-close",
+      })
+    ),
+    stage
+  );
+
+  const onResize = () => {
+    if (viewer?.fitMode) fit(viewer.fitMode);
+  };
+  viewer = {
+    overlay,
+    stage,
+    image,
+    zoomLabel,
+    opener: document.activeElement,
+    onResize,
+    fitMode: FIT_CONTAIN,
+    scale: 1,
+    x: 0,
+    y: 0,
+  };
+
+  setupPointers(stage);
+  // Listen before the page's own shortcuts, which shouldn't run underneath
+  document.addEventListener("keydown", handleKeydown, true);
+  // Fullscreen changes the size of the stage
+  window.addEventListener("resize", onResize);
+
+  document.body.appendChild(overlay);
+  overlay.querySelector(".lightbox-close").focus();
+  if (image.complete) fit(FIT_CONTAIN);
+  else image.addEventListener("load", () => viewer && fit(FIT_CONTAIN));
+}
@@ -0,0 +1,131 @@
+// Menu buttons, following the ARIA menu button pattern
+// A button toggles a popup holding a role="menu" list of items. Arrow keys,
+// Home and End move between the items, and only the focused item is in the
+// tab order (a roving tabindex). Escape or choosing an item closes the menu
+// and puts focus back on the button. Clicking or tabbing away closes it too,
+// and only one menu is open at a time.
+
+const ITEM_SELECTOR = '[role="menuitem"], [role="menuitemradio"]';
+
+// Set up menus by button id: { button, popup, menu, onClose }
+const menus = new Map();
+
+let listeningForClicks = false;
+
+function menuItems(menu) {
+  return [...menu.querySelectorAll(ITEM_SELECTOR)].filter(
+    (item) => !item.hidden
+  );
+}
+
+// Put item in the tab order instead of the others, and focus it
+function focusItem(menu, item) {
+  menuItems(menu).forEach((other) => {
+    other.tabIndex = other === item ? 0 : -1;
+  });
+  item.focus();
+}
+
+export function isMenuOpen(id) {
+  const entry = menus.get(id);
+  return !!entry && !entry.popup.classList.contains("hidden");
+}
+
+// Open a menu and focus its checked item (or its first). focus can also be
+// "first" or "last", for the arrow keys on the button.
+export function openMenu(id, focus = "checked") {
+  const entry = menus.get(id);
+  if (!entry) return;
+  closeAllMenus(id);
+  entry.popup.classList.remove("hidden");
+  entry.button.setAttribute("aria-expanded", "true");
+
+  const items = menuItems(entry.menu);
+  const item =
+    focus === "last"
+      ? items[items.length - 1]
+      : (focus === "checked" &&
+          items.find(
+            (other) => other.getAttribute("aria-checked") === "true"
+          )) ||
+        items[0];
+  if (item) focusItem(entry.menu, item);
+}
+
+export function closeMenu(id) {
+  const entry = menus.get(id);
+  if (!entry || !isMenuOpen(id)) return;
+  // Focus left in a hidden menu would be lost
+  const hadFocus = entry.popup.contains(document.activeElement);
+  entry.popup.classList.add("hidden");
+  entry.button.setAttribute("aria-expanded", "false");
+  if (hadFocus) entry.button.focus();
+  if (entry.onClose) entry.onClose();
+}
+
+export function closeAllMenus(except = null) {
+  menus.forEach((entry, id) => {
+    if (id !== except) closeMenu(id);
+  });
+}
+
+// Make button open popup as a menu. The role="menu" element is popup itself
+// unless options.menu is given (the popup can hold more than the menu, like
+// the frequency details). The markup gives the button aria-haspopup,
+// aria-controls and aria-expanded, and the items role="menuitem" or
+// "menuitemradio" with aria-checked. options.onClose runs whenever the menu
+// closes.
+export function setupMenu(button, popup, options = {}) {
+  const menu = options.menu || popup;
+  menus.set(button.id, { button, popup, menu, onClose: options.onClose });
+
+  button.onclick = () => {
+    if (isMenuOpen(button.id)) closeMenu(button.id);
+    else openMenu(button.id);
+  };
+  button.onkeydown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      openMenu(button.id, e.key === "ArrowDown" ? "first" : "last");
+    }
+  };
+
+  menu.onkeydown = (e) => {
+    const items = menuItems(menu);
+    const index = items.indexOf(e.target.closest(ITEM_SELECTOR));
+    const moves = {
+      ArrowDown: index + 1,
+      ArrowUp: index - 1,
+      Home: 0,
+      End: items.length - 1,
+    };
+    if (e.key in moves && items.length > 0) {
+      e.preventDefault();
+      focusItem(menu, items[(moves[e.key] + items.length) % items.length]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      closeMenu(button.id);
+    }
+  };
+
+  // Tabbing (or clicking) out of the popup closes the menu
+  popup.addEventListener("focusout", (e) => {
+    if (!button.contains(e.relatedTarget) && !popup.contains(e.relatedTarget)) {
+      closeMenu(button.id);
+    }
+  });
+
+  if (!listeningForClicks) {
+    listeningForClicks = true;
+    document.addEventListener("click", (e) => {
+      menus.forEach((entry, id) => {
+        if (
+          !entry.button.contains(e.target) &&
+          !entry.popup.contains(e.target)
+        ) {
+          closeMenu(id);
+        }
+      });
+    });
+  }
+}
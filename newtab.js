@@ -1,5 +1,89 @@
-// Configuration
-const API = "https://sketchplanations.com/api/extension/v1/new-tab";
+import { storage } from "./storage.js";
+import { runMigrations } from "./schema.js";
+import { loadMessages, localizePage, t, uiLocale } from "./i18n.js";
+import {
+  diagnoseConnectivity,
+  isSourceState,
+  STATE_RATE_LIMITED,
+} from "./connectivity.js";
+import {
+  getCustomThemes,
+  findCustomTheme,
+  isCustomTheme,
+  customThemeValue,
+  luminance,
+  AUTO_THEME,
+  ADAPTIVE_THEME,
+  getThemeSchedule,
+  scheduledTheme,
+} from "./themes.js";
+import { sketchPalette, adaptiveTheme } from "./palette.js";
+import {
+  DEFAULT_SCHEDULE,
+  FREQUENCY_EACH_TAB,
+  normalizeSchedule,
+  getSchedule,
+  setSchedule,
+  shouldFetchNewSketch,
+  getRecentSize,
+  HISTORY_SIZE,
+} from "./settings.js";
+import {
+  saveToLibrary,
+  nextLibrarySketch,
+  getLibrarySketch,
+  getLibraryUsage,
+  clearLibrary,
+  removeFromLibrary,
+} from "./library.js";
+import { blockSketch, getBlockedUids } from "./filters.js";
+import { escapeHtml } from "./caption.js";
+import { buildSearchIndex, searchSketches } from "./search.js";
+import { getSourceConfig } from "./source.js";
+import {
+  withFetchLock,
+  fetchUnseenSketch,
+  takeQueuedSketch,
+  getQueue,
+  fillQueue,
+  clearQueue,
+  queueSizeFor,
+} from "./queue.js";
+import {
+  markFirstSketch,
+  openDiagnostics,
+  isDiagnosticsOpen,
+  closeDiagnostics,
+} from "./diagnostics.js";
+import { openLightbox } from "./lightbox.js";
+import { setupMenu, closeMenu, closeAllMenus } from "./menu.js";
+import {
+  getKeyBindings,
+  normalizeBindings,
+  listenForCommands,
+  isShortcutHelpOpen,
+  openShortcutHelp,
+  closeShortcutHelp,
+} from "./keyboard.js";
+import {
+  copyImage,
+  downloadImage,
+  canWebShare,
+  webShare,
+  markdownSnippet,
+  htmlSnippet,
+  textSnippet,
+} from "./share.js";
+import {
+  allowSourceHost,
+  sketchPageUrl,
+  safeImageUrl,
+  sketchView,
+  errorStateView,
+  sketchThumbHtml,
+  messageHtml,
+  el,
+} from "./view.js";
 
 // Gradient color sets for smooth transitions
 const gradientColorSets = [
@@ -13,362 +97,437 @@ const gradientColorSets = [
 // Gradient rotation interval (5 minutes in milliseconds)
 const GRADIENT_ROTATION_INTERVAL_MS = 300000;
 
-// Frequency control constants
-const FREQUENCY_DAILY = "daily";
-const FREQUENCY_HOURLY = "hourly";
-const FREQUENCY_EACH_TAB = "each-tab";
-const DEFAULT_FREQUENCY = FREQUENCY_DAILY;
-
 // Test offline mode toggle
 let isTestOfflineMode = false;
 
-// Track if a fetch is in progress to prevent race conditions
-let isFetching = false;
+// The theme currently applied to the page, and the one the user chose (they
+// differ while a theme is previewed from the menu). Either can be "auto".
+let activeTheme = null;
+let chosenTheme = null;
 
-// Connectivity diagnostics
-function withTimeout(promise, ms = 4000, label = "timeout") {
-  const ctrl = new AbortController();
-  const id = setTimeout(() => ctrl.abort(label), ms);
-  return promise.finally(() => clearTimeout(id));
-}
+// Custom themes and the auto theme's schedule, from the options page
+let customThemes = [];
+let themeSchedule = [];
 
-async function probeInternet() {
-  // no-cors avoids CORS failures; if it resolves, internet is very likely up.
-  try {
-    await withTimeout(
-      fetch("https://www.google.com/generate_204", {
-        mode: "no-cors",
-        cache: "no-store",
-      }),
-      4000
-    );
-    return true;
-  } catch {
-    return false;
-  }
-}
+// The theme on screen, with "auto" resolved to the scheduled theme
+let shownTheme = null;
 
-async function diagnoseConnectivity() {
-  // 1) Quick offline check
-  if (!navigator.onLine) {
-    return { state: "offline" };
-  }
+// Colors sampled from the sketch on screen ({ uid, colors }), for the
+// adaptive theme
+let adaptiveColors = null;
 
-  // 2) Probe general internet
-  const internet = await probeInternet();
+// Timer for the auto theme's next switch, and when that switch is due
+let autoThemeTimer = null;
+let autoThemeUntil = null;
 
-  // 3) Classify
-  if (!internet) {
-    return { state: "offline" }; // no internet or captive portal
-  }
+// Caption preferences (title, publish date and description under the sketch)
+let showCaption = true;
+let captionExpanded = false;
 
-  return { state: "service_issue" }; // internet works but API doesn't
-}
+// Track if a fetch is in progress to prevent race conditions
+let isFetching = false;
+
+// The sketch currently on screen, so views like the gallery can return to it
+let currentSketch = null;
+
+// How far back in history the sketch on screen is (0 is the newest)
+let historyPosition = 0;
 
 async function getConnectivityCache() {
   return await storage.get("connectivityCache", null);
 }
 
-async function setConnectivityCache(state, timestamp = Date.now()) {
-  await storage.set("connectivityCache", { state, timestamp });
+// Remember a diagnosis from diagnoseConnectivity
+async function setConnectivityCache({
+  state,
+  detail = null,
+  retryAfter = null,
+}) {
+  await storage.set("connectivityCache", {
+    state,
+    detail,
+    retryAfter,
+    timestamp: Date.now(),
+  });
 }
 
 async function clearConnectivityCache() {
   await storage.set("connectivityCache", null);
 }
 
+// Whether a recent problem with the sketch source should be shown instead of
+// waiting on the source again. The connection itself is always checked
+// afresh, so offline and captive portal states don't count.
 async function shouldUseCachedError() {
   const cache = await getConnectivityCache();
-  if (!cache) return false;
+  if (!cache || !isSourceState(cache.state)) return false;
 
-  const now = Date.now();
-  const cacheAge = now - cache.timestamp;
-  const maxAge = 2 * 60 * 1000; // 2 minutes
+  const cacheAge = Date.now() - cache.timestamp;
+  // 2 minutes, or as long as a rate-limited source asked
+  const maxAge = Math.max(2 * 60 * 1000, (cache.retryAfter || 0) * 1000);
 
-  return cache.state === "service_issue" && cacheAge < maxAge;
+  return cacheAge < maxAge;
 }
 
-// Konami code sequence tracker for test mode toggle
-const konamiCode = [
-  "ArrowUp",
-  "ArrowUp",
-  "ArrowDown",
-  "ArrowDown",
-  "ArrowLeft",
-  "ArrowRight",
-  "ArrowLeft",
-  "ArrowRight",
-];
-let konamiIndex = 0;
-
-const storage = {
-  async get(key, defaultValue = null) {
-    // Fallback for when not running as Chrome extension
-    if (typeof chrome === "undefined" || !chrome.storage) {
-      const stored = localStorage.getItem(key);
-      return stored ? JSON.parse(stored) : defaultValue;
-    }
-    const obj = await chrome.storage.local.get([key]);
-    return obj[key] ?? defaultValue;
-  },
-  async set(key, val) {
-    // Fallback for when not running as Chrome extension
-    if (typeof chrome === "undefined" || !chrome.storage) {
-      localStorage.setItem(key, JSON.stringify(val));
-      return;
-    }
-    await chrome.storage.local.set({ [key]: val });
-  },
-};
+// Whether the source asked not to be contacted again yet
+function isRateLimited(cache) {
+  return (
+    cache.state === STATE_RATE_LIMITED &&
+    !!cache.retryAfter &&
+    Date.now() < cache.timestamp + cache.retryAfter * 1000
+  );
+}
 
-// Konami code to toggle test offline mode
-// Sequence: ↑ ↑ ↓ ↓ ← → ← →
-document.addEventListener("keydown", async (e) => {
-  // Check if the key matches the next key in the Konami code sequence
-  if (e.key === konamiCode[konamiIndex]) {
-    konamiIndex++;
+// Keyboard shortcuts (see keyboard.js). Set up once: everything they act on
+// is looked up when the key is pressed.
+let keyBindings = null;
+let updateCommandBindings = null;
+
+async function initKeyboard() {
+  keyBindings = await getKeyBindings();
+  const click = (selector) => () => document.querySelector(selector)?.click();
+
+  updateCommandBindings = listenForCommands(
+    {
+      next: click("#refreshBtn"),
+      back: () => stepHistory(1),
+      forward: async () => {
+        // A new sketch once at the newest
+        if (!(await stepHistory(-1))) {
+          document.getElementById("refreshBtn").click();
+        }
+      },
+      zoom: click(".image-button"),
+      open: click("#viewLink"),
+      copy: click('[data-share="link"]'),
+      favorite: click("#favoriteBtn"),
+      search: async () => {
+        if (document.querySelector(".search-panel")) {
+          document.getElementById("searchInput").focus();
+        } else {
+          await showSearch();
+        }
+      },
+      help: () => {
+        if (isShortcutHelpOpen()) closeShortcutHelp();
+        else openShortcutHelp(keyBindings);
+      },
+      close: closeMenus,
+      diagnostics: () => openDiagnostics(diagnosticsActions),
+    },
+    keyBindings
+  );
+}
 
-    // If the full sequence is complete
-    if (konamiIndex === konamiCode.length) {
-      e.preventDefault();
-      // Reset the index
-      konamiIndex = 0;
+function closeMenus() {
+  closeShortcutHelp();
 
-      // Read current state from storage and toggle it
-      const currentState = await storage.get("testOfflineMode", false);
-      isTestOfflineMode = !currentState;
-      console.log(`🎮 Test offline mode: ${isTestOfflineMode ? "ON" : "OFF"}`);
+  // Close the favorites gallery or history panel (the diagnostics overlay
+  // handles Escape itself)
+  if (!isDiagnosticsOpen() && isPanelOpen()) closePanel();
 
-      // Persist the new state before reloading
-      await storage.set("testOfflineMode", isTestOfflineMode);
-      window.location.reload();
-    }
-  } else {
-    // Reset if wrong key is pressed
-    konamiIndex = 0;
-  }
-});
+  // Close any open menu (the theme menu drops its preview as it closes)
+  closeAllMenus();
+}
+
+// Actions available from the diagnostics panel
+const diagnosticsActions = {
+  forceOffline: async () => {
+    closeDiagnostics();
+    showErrorState("offline");
+  },
+  forceServiceIssue: async () => {
+    closeDiagnostics();
+    showErrorState("service_issue");
+  },
+  forceTimeout: async () => {
+    closeDiagnostics();
+    showErrorState("timeout");
+  },
+  toggleTestMode: async () => {
+    // Persist the new state before reloading
+    isTestOfflineMode = !(await storage.get("testOfflineMode", false));
+    console.log(`🎮 Test offline mode: ${isTestOfflineMode ? "ON" : "OFF"}`);
+    await storage.set("testOfflineMode", isTestOfflineMode);
+    window.location.reload();
+  },
+  clearCaches: async () => {
+    await clearConnectivityCache();
+    await storage.set("lastSketch", null);
+    await storage.set("lastFetchTime", null);
+    await storage.set("fetchLog", []);
+    await clearLibrary();
+    await clearQueue();
+  },
+  resetSchedule: async () => {
+    await setSchedule(DEFAULT_SCHEDULE);
+    await storage.set("lastFetchTime", null);
+  },
+};
 
 // Frequency control functions
-function shouldFetchNewSketch(frequency, lastFetchTime) {
-  if (!lastFetchTime) return true;
+async function getLastFetchTime() {
+  return await storage.get("lastFetchTime", null);
+}
 
-  const now = new Date();
-  const lastFetch = new Date(lastFetchTime);
+async function setLastFetchTime(time) {
+  await storage.set("lastFetchTime", time);
+}
 
-  switch (frequency) {
-    case FREQUENCY_DAILY:
-      // Check if it's a new calendar day
+// The sketch a new tab can show without fetching: the current one until the
+// schedule rolls over, or one fetched ahead of time. null when one has to be
+// fetched. Call inside withFetchLock, so a sketch another tab just fetched
+// counts.
+async function currentOrQueuedSketch() {
+  const schedule = await getSchedule();
+  const lastFetchTime = await getLastFetchTime();
+
+  // Check if we should fetch a new sketch based on the frequency schedule
+  if (!shouldFetchNewSketch(schedule, lastFetchTime)) {
+    // Return the last sketch if we don't need a new one, unless it's been
+    // blocked since. The library copy has the image stored, so it shows
+    // offline too
+    const lastSketch = await storage.get("lastSketch", null);
+    if (lastSketch && !(await getBlockedUids()).includes(lastSketch.uid)) {
       return (
-        now.getDate() !== lastFetch.getDate() ||
-        now.getMonth() !== lastFetch.getMonth() ||
-        now.getFullYear() !== lastFetch.getFullYear()
+        (await getLibrarySketch(lastSketch.uid).catch(() => null)) || lastSketch
       );
+    }
+  }
 
-    case FREQUENCY_HOURLY:
-      // Check if it's been an hour
-      return now.getTime() - lastFetch.getTime() >= 60 * 60 * 1000;
+  // Use a sketch fetched ahead of time. This page hasn't decoded its image
+  // yet, so show it from the library so there's no wait
+  const queued = await takeQueuedSketch();
+  if (queued) {
+    await useNewSketch(queued);
+    return (await getLibrarySketch(queued.uid).catch(() => null)) || queued;
+  }
 
-    case FREQUENCY_EACH_TAB:
-      // Always fetch new sketch
-      return true;
+  return null;
+}
 
-    default:
-      return true;
-  }
+// The sketch a new tab should show. fetchOptions are for fetchSketchData, if
+// a sketch has to be fetched.
+async function nextUniqueSketch(fetchOptions = {}) {
+  return await withFetchLock(
+    async () =>
+      (await currentOrQueuedSketch()) ||
+      (await fetchAndRememberSketch(fetchOptions))
+  );
 }
 
-async function getFrequency() {
-  return await storage.get("frequency", DEFAULT_FREQUENCY);
+// Fetch a new sketch regardless of the schedule (retrying after an error)
+async function fetchNewSketch() {
+  return await withFetchLock(() => fetchAndRememberSketch());
 }
 
-async function setFrequency(frequency) {
-  await storage.set("frequency", frequency);
+// The next prefetched sketch for the refresh button, fetching one only when
+// the queue is empty
+async function refreshSketch() {
+  return await withFetchLock(async () => {
+    const queued = await takeQueuedSketch();
+    if (queued) {
+      await useNewSketch(queued);
+      return queued;
+    }
+    return await fetchAndRememberSketch();
+  });
 }
 
-async function getLastFetchTime() {
-  return await storage.get("lastFetchTime", null);
+async function fetchAndRememberSketch(fetchOptions = {}) {
+  const sketchData = await fetchUnseenSketch(fetchOptions);
+  // The source answered, so a cached error no longer applies. Only cleared
+  // here: a current or queued sketch says nothing about the source
+  await clearConnectivityCache();
+  await useNewSketch(sketchData);
+  return sketchData;
 }
 
-async function setLastFetchTime(time) {
-  await storage.set("lastFetchTime", time);
+// Make a sketch the current one for the schedule and remember it was seen
+async function useNewSketch(sketchData) {
+  await setLastFetchTime(new Date().toISOString());
+  await storage.set("lastSketch", sketchData);
+  await rememberSketch(sketchData);
 }
 
-async function fetchSketchData(retryCount = 0) {
-  const maxRetries = 2;
-  const url = API + "?t=" + Date.now();
+async function rememberSketch(sketchData) {
+  const size = await getRecentSize(); // no-repeat window
+  const recent = await storage.get("recent", []);
+  recent.unshift(sketchData.uid);
+  while (recent.length > size) recent.pop();
+  await storage.set("recent", recent);
 
-  // Add timeout to prevent hanging requests
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
+  await addToHistory(sketchData);
+}
 
-  try {
-    const res = await fetch(url, {
-      cache: "no-store",
-      signal: controller.signal,
-    });
-    clearTimeout(timeoutId);
+// Viewing history
+async function getHistory() {
+  return await storage.get("history", []);
+}
 
-    if (!res.ok) throw new Error("Failed to fetch sketch data: " + res.status);
-    const data = await res.json();
-    if (!data || !data.uid) {
-      throw new Error("Unexpected response: " + JSON.stringify(data));
-    }
+async function addToHistory(sketchData) {
+  const history = await getHistory();
 
-    // Map the new API response to the expected format
-    return {
-      uid: data.uid,
-      title: data.title || data.uid.replace(/-/g, " "),
-      image: data.imageUrlOptimised || data.imageUrl || null,
-      url: data.pageUrl || `https://sketchplanations.com/${data.uid}`,
-      description: data.description || "",
-      prints: data.redbubbleUrl || null,
-      imageAlt: data.imageAlt || data.title || "",
-      publishedAt: data.publishedAt || null,
-      podcastUrl: data.podcastUrl || null,
-    };
-  } catch (err) {
-    clearTimeout(timeoutId);
-
-    // Retry logic for transient failures
-    if (retryCount < maxRetries) {
-      const isTransientError =
-        err.name === "AbortError" ||
-        err.message.includes("Failed to fetch") ||
-        (err.message.includes("status") && err.message.match(/50[0-9]/)); // 5xx errors
-
-      if (isTransientError) {
-        const backoffDelay = Math.pow(2, retryCount) * 1000; // Exponential backoff: 1s, 2s
-        console.log(
-          `Retrying fetch after ${backoffDelay}ms (attempt ${
-            retryCount + 1
-          }/${maxRetries})`
-        );
-        await new Promise((resolve) => setTimeout(resolve, backoffDelay));
-        return fetchSketchData(retryCount + 1);
-      }
-    }
+  // Back at the newest sketch whenever a new one is shown
+  historyPosition = 0;
 
-    if (err.name === "AbortError") {
-      throw new Error("Request timed out");
-    }
-    throw err;
-  }
+  // Showing the same sketch again (e.g. daily frequency) isn't a new view
+  if (history.length > 0 && history[0].sketch.uid === sketchData.uid) return;
+
+  history.unshift({
+    sketch: toStoredSketch(sketchData),
+    viewedAt: new Date().toISOString(),
+  });
+  while (history.length > HISTORY_SIZE) history.pop();
+  await storage.set("history", history);
 }
 
-function prefetch(url) {
-  const l = document.createElement("link");
-  l.rel = "prefetch";
-  l.href = url;
-  document.head.appendChild(l);
+async function clearHistory() {
+  historyPosition = 0;
+  await storage.set("history", []);
 }
 
-async function nextUniqueSketch() {
-  const frequency = await getFrequency();
-  const lastFetchTime = await getLastFetchTime();
+// Step through history without hitting the API. Positive steps go back to
+// older sketches, negative steps go forward. Returns false at either end.
+async function stepHistory(step) {
+  const history = await getHistory();
+  const position = historyPosition + step;
+  if (position < 0 || position >= history.length) return false;
 
-  // Check if we should fetch a new sketch based on frequency
-  if (!shouldFetchNewSketch(frequency, lastFetchTime)) {
-    // Return the last sketch if we don't need a new one
-    const lastSketch = await storage.get("lastSketch", null);
-    if (lastSketch) {
-      return lastSketch;
-    }
-  }
-
-  // Fetch new sketch
-  return await fetchNewSketch();
+  historyPosition = position;
+  await render(history[position].sketch);
+  return true;
 }
 
-async function fetchNewSketch() {
-  const recent = await storage.get("recent", []);
-  for (let i = 0; i < 5; i++) {
-    const data = await fetchSketchData();
-    if (!recent.includes(data.uid)) {
-      // Update last fetch time and store the sketch
-      await setLastFetchTime(new Date().toISOString());
-      await storage.set("lastSketch", data);
-      return data;
-    }
-  }
-  const data = await fetchSketchData();
-  await setLastFetchTime(new Date().toISOString());
-  await storage.set("lastSketch", data);
-  return data;
+// Favorites
+async function getFavorites() {
+  return await storage.get("favorites", []);
 }
 
-async function rememberSketch(uid) {
-  const size = 24; // expanded no-repeat window
-  const recent = await storage.get("recent", []);
-  recent.unshift(uid);
-  while (recent.length > size) recent.pop();
-  await storage.set("recent", recent);
+async function isFavorite(uid) {
+  const favorites = await getFavorites();
+  return favorites.some((favorite) => favorite.sketch.uid === uid);
 }
 
-async function render(sketchData) {
-  renderSketch(sketchData);
+// Offline library sketches point at a local object URL; keep the real one
+function toStoredSketch(sketchData) {
+  const { remoteImage, ...sketch } = sketchData;
+  return remoteImage ? { ...sketch, image: remoteImage } : sketch;
 }
 
-function renderSketch(sketchData) {
-  const app = document.getElementById("app");
-  const url = sketchData.url;
+// Add or remove a sketch from favorites. Returns true if it's now a favorite.
+async function toggleFavorite(sketchData) {
+  const favorites = await getFavorites();
+  const index = favorites.findIndex(
+    (favorite) => favorite.sketch.uid === sketchData.uid
+  );
 
-  // Create small text links for share, prints, and podcast
-  const extraLinks = [];
+  if (index >= 0) {
+    favorites.splice(index, 1);
+  } else {
+    favorites.unshift({
+      sketch: toStoredSketch(sketchData),
+      savedAt: new Date().toISOString(),
+    });
+  }
 
-  // Add share link with notification (wrap only the share button)
-  const shareButton = `<div class="share-container">
-    <div id="copiedNotification" class="copied-notification">
-      Link copied!
-    </div>
-    <button id="copyBtn" class="small-link share-link" title="Copy a link to this sketch">Share</button>
-  </div>`;
+  await storage.set("favorites", favorites);
+  return index < 0;
+}
 
-  extraLinks.push(shareButton);
+async function removeFavorite(uid) {
+  const favorites = await getFavorites();
+  await storage.set(
+    "favorites",
+    favorites.filter((favorite) => favorite.sketch.uid !== uid)
+  );
+}
 
-  if (sketchData.prints) {
-    extraLinks.push(
-      `<a href="${sketchData.prints}" target="_blank" rel="noopener" class="small-link">Buy prints</a>`
-    );
-  }
-  if (sketchData.podcastUrl) {
-    extraLinks.push(
-      `<a href="${sketchData.podcastUrl}" target="_blank" rel="noopener" class="small-link">Listen to podcast</a>`
+function sortFavorites(favorites, sortBy) {
+  const sorted = [...favorites];
+  if (sortBy === "published") {
+    // Newest published first, sketches without a date last
+    sorted.sort(
+      (a, b) =>
+        (Date.parse(b.sketch.publishedAt) || 0) -
+        (Date.parse(a.sketch.publishedAt) || 0)
     );
+  } else {
+    sorted.sort((a, b) => Date.parse(b.savedAt) - Date.parse(a.savedAt));
   }
+  return sorted;
+}
 
-  const extraLinksHtml =
-    extraLinks.length > 0
-      ? `<div class="extra-links">${extraLinks.join(" • ")}</div>`
-      : "";
+async function render(sketchData) {
+  renderSketch(sketchData);
+}
 
-  app.innerHTML = `
-    <h1 class="sr-only">${sketchData.title}</h1>
-    <div class="layout">
-      <div class="sketch-container">
-        ${
-          sketchData.image
-            ? `<a href="${url}" target="_blank" rel="noopener" class="image-link">
-                <img class="sketch-img" src="${sketchData.image}" alt="${
-                sketchData.imageAlt || sketchData.title
-              }" loading="lazy">
-               </a>`
-            : ""
-        }
-        ${extraLinksHtml}
-      </div>
-    </div>
-  `;
+function renderSketch(sketchData, options = {}) {
+  const app = document.getElementById("app");
+  const url = sketchPageUrl(sketchData);
+  currentSketch = sketchData;
+  markFirstSketch();
+
+  app.replaceChildren(
+    sketchView(sketchData, {
+      showCaption,
+      captionExpanded,
+      offlineUsage: options.offlineUsage,
+      testMode: isTestOfflineMode,
+    })
+  );
 
   setupInteractions(sketchData, url);
+  announce(t("announceSketch", sketchData.title));
+}
+
+// Tell screen reader users what changed, through the page's live region
+function announce(message) {
+  const announcer = document.getElementById("announcer");
+  if (!announcer) return;
+  // Emptied first, so the same message twice is still read out
+  announcer.textContent = "";
+  setTimeout(() => {
+    announcer.textContent = message;
+  }, 100);
+}
+
+// Briefly say which share action worked (or didn't)
+let shareNotificationTimeout = null;
+function showShareNotification(message) {
+  const notification = document.getElementById("copiedNotification");
+  if (!notification) return;
+  notification.textContent = message;
+  notification.classList.add("show");
+  clearTimeout(shareNotificationTimeout);
+  shareNotificationTimeout = setTimeout(() => {
+    notification.classList.remove("show");
+  }, 2000);
 }
 
 function setupInteractions(sketchData, url) {
   // fade-in when image loads
   const img = document.querySelector(".sketch-img");
   if (img) {
-    if (img.complete) img.classList.add("is-loaded");
-    else img.addEventListener("load", () => img.classList.add("is-loaded"));
+    const onLoaded = () => {
+      img.classList.add("is-loaded");
+      if (shownTheme === ADAPTIVE_THEME) adaptToSketch();
+    };
+    if (img.complete) onLoaded();
+    else img.addEventListener("load", onLoaded);
+
+    document.querySelector(".image-button").onclick = () => {
+      openLightbox({ src: img.currentSrc || img.src, alt: img.alt });
+    };
+  }
+
+  // Remember whether the description is expanded
+  const description = document.querySelector(".caption-description");
+  if (description) {
+    description.addEventListener("toggle", async () => {
+      captionExpanded = description.open;
+      await storage.set("captionExpanded", captionExpanded);
+    });
   }
 
   const refreshBtn = document.getElementById("refreshBtn");
@@ -378,96 +537,112 @@ function setupInteractions(sketchData, url) {
 
     try {
       isFetching = true;
-      refreshBtn.style.opacity = "0.5";
-      refreshBtn.style.pointerEvents = "none";
+      refreshBtn.setAttribute("aria-disabled", "true");
 
-      loading("Getting a new sketch…");
-      const sketchData = await fetchNewSketch();
-      await rememberSketch(sketchData.uid);
+      loading(t("loadingNewSketch"));
+      const sketchData = await refreshSketch();
       await renderOrRedirect(sketchData);
     } catch (err) {
-      showError(err);
+      const diagnosis = await diagnoseConnectivity(err);
+      await showConnectivityState(diagnosis.state, diagnosis.detail);
     } finally {
       isFetching = false;
-      refreshBtn.style.opacity = "";
-      refreshBtn.style.pointerEvents = "";
+      refreshBtn.removeAttribute("aria-disabled");
     }
   };
 
   refreshBtn.onclick = handleRefresh;
 
-  // Add keyboard support for refresh button (div element)
-  refreshBtn.addEventListener("keydown", async (e) => {
-    if (e.key === "Enter" || e.key === " ") {
-      e.preventDefault();
+  // Never show this sketch again, and move on to another
+  const blockBtn = document.getElementById("blockBtn");
+  if (blockBtn) {
+    blockBtn.onclick = async () => {
+      if (isFetching) return;
+      try {
+        await blockSketch(sketchData);
+      } catch (err) {
+        console.error("Failed to block the sketch:", err);
+        return;
+      }
+      // The offline library shouldn't bring it back either (non-critical)
+      removeFromLibrary(sketchData.uid).catch((err) => {
+        console.warn("Removing from offline library failed:", err.message);
+      });
       await handleRefresh();
-    }
-  });
+      showShareNotification(t("sketchBlocked", sketchData.title));
+    };
+  }
 
-  // Add copy functionality
-  const copyBtn = document.getElementById("copyBtn");
-  if (copyBtn) {
-    copyBtn.onclick = async () => {
-      try {
-        await navigator.clipboard.writeText(url);
+  // Add favorite functionality
+  const favoriteBtn = document.getElementById("favoriteBtn");
+  if (favoriteBtn) {
+    const updateFavoriteBtn = (favorited) => {
+      favoriteBtn.textContent = t(favorited ? "favorited" : "favorite");
+      favoriteBtn.setAttribute("aria-pressed", favorited);
+    };
 
-        // Show copied notification
-        const notification = document.getElementById("copiedNotification");
-        notification.classList.add("show");
+    isFavorite(sketchData.uid).then(updateFavoriteBtn);
 
-        // Hide after 2 seconds
-        setTimeout(() => {
-          notification.classList.remove("show");
-        }, 2000);
+    favoriteBtn.onclick = async () => {
+      try {
+        updateFavoriteBtn(await toggleFavorite(sketchData));
       } catch (err) {
-        console.error("Failed to copy to clipboard:", err);
-        // Fallback: show error message briefly
-        const notification = document.getElementById("copiedNotification");
-        notification.textContent = "Copy failed";
-        notification.classList.add("show");
-        setTimeout(() => {
-          notification.classList.remove("show");
-          notification.textContent = "Link copied!";
-        }, 2000);
+        console.error("Failed to update favorites:", err);
       }
     };
   }
 
-  // Simplified keyboard shortcuts (now with copy button)
-  document.addEventListener("keydown", (e) => {
-    const k = e.key.toLowerCase();
-    if (k === "n" || e.key === "ArrowRight") {
-      document.getElementById("refreshBtn").click();
-    } else if (k === "v") {
-      // Open the main sketch link
-      const a = document.querySelector(".image-link");
-      if (a) a.click();
-    } else if (k === "c") {
-      // Copy link
-      const copyBtn = document.getElementById("copyBtn");
-      if (copyBtn) copyBtn.click();
-    } else if (e.key === "Escape") {
-      // Close any open menus
-      document.getElementById("themeMenu").classList.add("hidden");
-      document.getElementById("frequencyMenu").classList.add("hidden");
-      document.getElementById("bottomMenu").classList.add("hidden");
-
-      // Reset ARIA expanded states
-      const paletteBtn = document.getElementById("paletteBtn");
-      const frequencyBtn = document.getElementById("frequencyBtn");
-      const bottomMenuBtn = document.getElementById("bottomMenuBtn");
-      if (paletteBtn) paletteBtn.setAttribute("aria-expanded", "false");
-      if (frequencyBtn) frequencyBtn.setAttribute("aria-expanded", "false");
-      if (bottomMenuBtn) bottomMenuBtn.setAttribute("aria-expanded", "false");
-    }
-  });
+  // Share menu: the link, the image, or a snippet with attribution
+  const shareBtn = document.getElementById("shareBtn");
+  const shareMenu = document.getElementById("shareMenu");
+  if (shareBtn) {
+    const copyText = (text) => navigator.clipboard.writeText(text);
+    const shareActions = {
+      link: () => copyText(url),
+      image: () => copyImage(sketchData),
+      download: () => downloadImage(sketchData),
+      web: () => webShare(sketchData),
+      markdown: () => copyText(markdownSnippet(sketchData)),
+      html: () => copyText(htmlSnippet(sketchData)),
+      text: () => copyText(textSnippet(sketchData)),
+    };
+    const shareMessages = {
+      link: "shareLinkCopied",
+      image: "shareImageCopied",
+      download: "shareImageDownloaded",
+      web: "shareShared",
+      markdown: "shareMarkdownCopied",
+      html: "shareHtmlCopied",
+      text: "shareTextCopied",
+    };
+    shareMenu.querySelector('[data-share="web"]').hidden = !canWebShare();
+    setupMenu(shareBtn, shareMenu);
+    shareMenu.querySelectorAll("[data-share]").forEach((option) => {
+      option.onclick = async () => {
+        closeMenu("shareBtn");
+        const action = option.dataset.share;
+        try {
+          // Web Share resolves to false when the share sheet is dismissed
+          if ((await shareActions[action]()) !== false) {
+            showShareNotification(t(shareMessages[action]));
+          }
+        } catch (err) {
+          console.error(`Share action "${action}" failed:`, err);
+          showShareNotification(t("shareFailed", option.textContent));
+        }
+      };
+    });
+  }
 }
 
-function loading() {
+// A spinner, with message for screen readers
+function loading(message) {
   const app = document.getElementById("app");
   app.innerHTML = `
     <div class="loading-container">
-      <div class="loading-spinner" role="status" aria-label="Loading sketch">
+      <div class="loading-spinner" role="status" aria-label="${escapeHtml(
+        message
+      )}">
         <svg class="spinner-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
           <path d="M21 12a9 9 0 11-6.219-8.56"/>
         </svg>
@@ -478,137 +653,21 @@ function loading() {
 
 function showErrorState(state, detail = null) {
   const app = document.getElementById("app");
-
-  // Check if in test mode and add banner if so
-  const testModeBanner = isTestOfflineMode
-    ? `<div class="test-mode-banner">
-         Testing mode! Use Konami code to return: <kbd>↑</kbd> <kbd>↑</kbd> <kbd>↓</kbd> <kbd>↓</kbd> <kbd>←</kbd> <kbd>→</kbd> <kbd>←</kbd> <kbd>→</kbd>
-       </div>`
-    : "";
-
-  let title,
-    message,
-    showSketch = true;
-
-  switch (state) {
-    case "offline":
-      title = "No Internet Connection";
-      message =
-        "I couldn't load a fresh sketch right now. Check your connection and try again.";
-      break;
-    case "service_issue":
-      title = "Can't fetch a sketch at the moment";
-      message =
-        "There's an issue with the content provider. Your internet is working fine.";
-      showSketch = false;
-      break;
-    default:
-      title = "No Internet Connection";
-      message =
-        "I couldn't load a fresh sketch right now. Check your connection and try again.";
-  }
-
-  // Check for cached sketch to offer as fallback
-  const cachedSketchButton = showSketch
-    ? ""
-    : `
-    <button class="error-button" id="showCached" style="margin-top: 1rem;">
-      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-        <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
-        <polyline points="14,2 14,8 20,8"/>
-        <line x1="16" y1="13" x2="8" y2="13"/>
-        <line x1="16" y1="17" x2="8" y2="17"/>
-        <polyline points="10,9 9,9 8,9"/>
-      </svg>
-      Show last sketch
-    </button>
-  `;
-
-  // Troubleshooting section for service issues
-  const troubleshootingSection =
-    state === "service_issue"
-      ? `
-    <div class="troubleshooting" style="margin-top: 2rem; text-align: center; font-size: 0.9em; opacity: 0.8;">
-      <button id="troubleshootingToggle" style="background: none; border: none; color: inherit; text-decoration: none; cursor: pointer; font-size: inherit;">
-        Troubleshooting
-      </button>
-      <div id="troubleshootingDetails" style="display: none; margin-top: 0.5rem;">
-        <p style="margin: 0.5rem 0 0 0; font-size: 0.85em;">
-          It may be an issue with the content service <a href="https://status.prismic.io" target="_blank" rel="noopener" style="color: inherit;">status.prismic.io</a><br>
-          If it's still not working and Prismic have no issues, please let me know: 
-          <a href="mailto:jono.hey@gmail.com" style="color: inherit;">jono.hey@gmail.com</a>
-        </p>
-      </div>
-    </div>
-  `
-      : "";
-
-  app.innerHTML = `
-    ${testModeBanner}
-    <div class="error-container">
-      <div class="error-icon">
-        <svg
-          xmlns="http://www.w3.org/2000/svg"
-          width="24"
-          height="24"
-          viewBox="0 0 24 24"
-          fill="none"
-          stroke="currentColor"
-          stroke-width="2"
-          stroke-linecap="round"
-          stroke-linejoin="round"
-        >
-          <path d="M12.409 5.824c-.702.792-1.15 1.496-1.415 2.166l2.153 2.156a.5.5 0 0 1 0 .707l-2.293 2.293a.5.5 0 0 0 0 .707L12 15"/>
-          <path d="M13.508 20.313a2 2 0 0 1-3 .019L5 15c-1.5-1.5-3-3.2-3-5.5a5.5 5.5 0 0 1 9.591-3.677.6.6 0 0 0 .818.001A5.5 5.5 0 0 1 22 9.5c0 2.29-1.5 4-3 5.5z"/>
-        </svg>
-      </div>
-      <h2 class="error-title">${title}</h2>
-      <p class="error-message">${message}</p>
-      <button class="error-button" id="retry">
-        <svg
-          viewBox="0 0 24 24"
-          fill="none"
-          stroke="currentColor"
-          stroke-width="2"
-          stroke-linecap="round"
-          stroke-linejoin="round"
-        >
-          <path d="M23 4v6h-6"/>
-          <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
-        </svg>
-        Try Again
-      </button>
-      ${cachedSketchButton}
-      ${troubleshootingSection}
-      ${
-        showSketch
-          ? `
-        <div class="error-sketch">
-          <img 
-            src="images/bad-internet-is-worse-than-no-internet-sketchplanations.jpg" 
-            alt="Bad internet is worse than no internet - Sketchplanations"
-            class="error-sketch-img"
-          />
-        </div>
-      `
-          : ""
-      }
-    </div>
-  `;
+  app.replaceChildren(
+    errorStateView(state, { detail, testMode: isTestOfflineMode })
+  );
 
   // Retry handler
   document.getElementById("retry").onclick = async () => {
     try {
-      loading("Testing connection…");
+      loading(t("loadingTestingConnection"));
       const sketchData = await fetchNewSketch();
-      await clearConnectivityCache(); // Clear cache on successful fetch
-      await rememberSketch(sketchData.uid);
       await renderOrRedirect(sketchData);
     } catch (err) {
       // Diagnose the error and show appropriate state
-      const diagnosis = await diagnoseConnectivity();
-      await setConnectivityCache(diagnosis.state);
-      showErrorState(diagnosis.state, diagnosis.detail);
+      const diagnosis = await diagnoseConnectivity(err);
+      await setConnectivityCache(diagnosis);
+      await showConnectivityState(diagnosis.state, diagnosis.detail);
     }
   };
 
@@ -618,7 +677,11 @@ function showErrorState(state, detail = null) {
     showCachedBtn.onclick = async () => {
       const lastSketch = await storage.get("lastSketch", null);
       if (lastSketch) {
-        await render(lastSketch);
+        // Prefer the library copy, whose image doesn't need the network
+        const librarySketch = await getLibrarySketch(lastSketch.uid).catch(
+          () => null
+        );
+        await render(librarySketch || lastSketch);
       }
     };
   }
@@ -631,23 +694,19 @@ function showErrorState(state, detail = null) {
 
       try {
         isFetching = true;
-        refreshBtn.style.opacity = "0.5";
-        refreshBtn.style.pointerEvents = "none";
+        refreshBtn.setAttribute("aria-disabled", "true");
 
-        loading("Getting a new sketch…");
+        loading(t("loadingNewSketch"));
         const sketchData = await fetchNewSketch();
-        await clearConnectivityCache(); // Clear cache on successful fetch
-        await rememberSketch(sketchData.uid);
         await renderOrRedirect(sketchData);
       } catch (err) {
         // Diagnose the error and show appropriate state
-        const diagnosis = await diagnoseConnectivity();
-        await setConnectivityCache(diagnosis.state);
-        showErrorState(diagnosis.state, diagnosis.detail);
+        const diagnosis = await diagnoseConnectivity(err);
+        await setConnectivityCache(diagnosis);
+        await showConnectivityState(diagnosis.state, diagnosis.detail);
       } finally {
         isFetching = false;
-        refreshBtn.style.opacity = "";
-        refreshBtn.style.pointerEvents = "";
+        refreshBtn.removeAttribute("aria-disabled");
       }
     };
   }
@@ -668,84 +727,457 @@ function showErrorState(state, detail = null) {
 }
 
 // Keep the old showError function for backward compatibility
-function showError(err) {
-  showErrorState("offline");
+async function showError(err) {
+  await showOfflineState();
 }
 
-async function renderOrRedirect(sketchData) {
-  render(sketchData);
+// Route a diagnosed connectivity state to the right view
+async function showConnectivityState(state, detail = null) {
+  if (state === "offline") {
+    await showOfflineState(detail);
+  } else {
+    showErrorState(state, detail);
+  }
+}
+
+// When offline, show a sketch from the offline library if there is one,
+// rotating through the library on each new tab. Falls back to the error page.
+async function showOfflineState(detail = null) {
   try {
-    const nextSketchData = await fetchSketchData();
-    prefetch(nextSketchData.url);
+    // Sketches blocked by a restored backup can still be in the library
+    const sketchData = await nextLibrarySketch(await getBlockedUids());
+    if (sketchData) {
+      const usage = await getLibraryUsage();
+      renderSketch(sketchData, { offlineUsage: usage });
+      return;
+    }
   } catch (err) {
-    // Prefetch is non-critical, log but don't show error to user
-    console.warn("Prefetch failed:", err.message);
+    console.warn("Offline library unavailable:", err.message);
+  }
+  showErrorState("offline", detail);
+}
+
+// ---- Favorites gallery ----
+async function showGallery() {
+  const app = document.getElementById("app");
+  const sortBy = await storage.get("favoritesSort", "saved");
+  const favorites = sortFavorites(await getFavorites(), sortBy);
+
+  const items = favorites
+    .map(
+      ({ sketch }) => `
+      <li class="gallery-item">
+        ${sketchThumbHtml(sketch, { "data-uid": sketch.uid })}
+        <button class="small-link gallery-remove" data-uid="${escapeHtml(
+          sketch.uid
+        )}" title="${escapeHtml(t("removeFavoriteTitle"))}">${escapeHtml(
+        t("remove")
+      )}</button>
+      </li>`
+    )
+    .join("");
+
+  app.innerHTML = `
+    <section class="gallery favorites-gallery" aria-labelledby="galleryTitle">
+      <div class="gallery-header">
+        <h2 id="galleryTitle" class="gallery-title">${escapeHtml(
+          t("favorites")
+        )}</h2>
+        <label class="gallery-sort">
+          ${escapeHtml(t("sortBy"))}
+          <select id="gallerySort">
+            <option value="saved" ${
+              sortBy === "saved" ? "selected" : ""
+            }>${escapeHtml(t("sortSaved"))}</option>
+            <option value="published" ${
+              sortBy === "published" ? "selected" : ""
+            }>${escapeHtml(t("sortPublished"))}</option>
+          </select>
+        </label>
+        <button id="galleryClose" class="small-link gallery-close">${escapeHtml(
+          t("backToSketch")
+        )}</button>
+      </div>
+      ${
+        favorites.length > 0
+          ? `<ul class="gallery-grid">${items}</ul>`
+          : `<p class="gallery-empty">${messageHtml(
+              "noFavorites",
+              "<kbd>f</kbd>"
+            )}</p>`
+      }
+    </section>
+  `;
+
+  document.getElementById("gallerySort").onchange = async (e) => {
+    await storage.set("favoritesSort", e.target.value);
+    await showGallery();
+  };
+
+  document.getElementById("galleryClose").onclick = closePanel;
+
+  app.querySelectorAll(".gallery-open").forEach((button) => {
+    button.onclick = () => {
+      const favorite = favorites.find(
+        ({ sketch }) => sketch.uid === button.dataset.uid
+      );
+      if (favorite) render(favorite.sketch);
+    };
+  });
+
+  app.querySelectorAll(".gallery-remove").forEach((button) => {
+    button.onclick = async () => {
+      await removeFavorite(button.dataset.uid);
+      await showGallery();
+    };
+  });
+}
+
+// ---- History panel ----
+function formatHistoryDay(date) {
+  const today = new Date();
+  const yesterday = new Date(
+    today.getFullYear(),
+    today.getMonth(),
+    today.getDate() - 1
+  );
+
+  if (date.toDateString() === today.toDateString()) return t("today");
+  if (date.toDateString() === yesterday.toDateString()) return t("yesterday");
+  return date.toLocaleDateString(uiLocale(), {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+}
+
+async function showHistory() {
+  const app = document.getElementById("app");
+  const history = await getHistory();
+
+  // Group entries by the day they were viewed (history is newest first)
+  const days = [];
+  history.forEach((entry, position) => {
+    const viewedAt = new Date(entry.viewedAt);
+    const day = formatHistoryDay(viewedAt);
+    if (days.length === 0 || days[days.length - 1].day !== day) {
+      days.push({ day, entries: [] });
+    }
+    days[days.length - 1].entries.push({ ...entry, viewedAt, position });
+  });
+
+  const sections = days
+    .map(
+      ({ day, entries }) => `
+      <h3 class="history-day">${escapeHtml(day)}</h3>
+      <ul class="gallery-grid">
+        ${entries
+          .map(
+            ({ sketch, viewedAt, position }) => `
+          <li class="gallery-item">
+            ${sketchThumbHtml(
+              sketch,
+              { "data-position": position },
+              `<span class="history-time">${viewedAt.toLocaleTimeString(
+                uiLocale(),
+                { hour: "numeric", minute: "2-digit" }
+              )}</span>`
+            )}
+          </li>`
+          )
+          .join("")}
+      </ul>`
+    )
+    .join("");
+
+  app.innerHTML = `
+    <section class="gallery history-panel" aria-labelledby="historyTitle">
+      <div class="gallery-header">
+        <h2 id="historyTitle" class="gallery-title">${escapeHtml(
+          t("history")
+        )}</h2>
+        ${
+          history.length > 0
+            ? `<button id="historyClear" class="small-link gallery-remove">${escapeHtml(
+                t("clearHistory")
+              )}</button>`
+            : ""
+        }
+        <button id="historyClose" class="small-link gallery-close">${escapeHtml(
+          t("backToSketch")
+        )}</button>
+      </div>
+      ${
+        history.length > 0
+          ? sections
+          : `<p class="gallery-empty">${escapeHtml(t("noHistory"))}</p>`
+      }
+    </section>
+  `;
+
+  document.getElementById("historyClose").onclick = closePanel;
+
+  const historyClear = document.getElementById("historyClear");
+  if (historyClear) {
+    historyClear.onclick = async () => {
+      await clearHistory();
+      await showHistory();
+    };
   }
+
+  app.querySelectorAll(".gallery-open").forEach((button) => {
+    button.onclick = () => {
+      historyPosition = Number(button.dataset.position);
+      render(history[historyPosition].sketch);
+    };
+  });
+}
+
+// ---- Search ----
+async function showSearch() {
+  const app = document.getElementById("app");
+  const index = buildSearchIndex(await getFavorites(), await getHistory());
+
+  app.innerHTML = `
+    <section class="gallery search-panel" aria-labelledby="searchTitle">
+      <div class="gallery-header">
+        <h2 id="searchTitle" class="gallery-title">${escapeHtml(
+          t("search")
+        )}</h2>
+        <button id="searchClose" class="small-link gallery-close">${escapeHtml(
+          t("backToSketch")
+        )}</button>
+      </div>
+      <input
+        id="searchInput"
+        class="search-input"
+        type="search"
+        placeholder="${escapeHtml(
+          t("searchPlaceholder", index.length.toLocaleString(uiLocale()))
+        )}"
+        aria-label="${escapeHtml(t("searchLabel"))}"
+        aria-controls="searchResults"
+        autocomplete="off"
+      >
+      <div id="searchResults" class="search-results" aria-live="polite"></div>
+    </section>
+  `;
+
+  document.getElementById("searchClose").onclick = closePanel;
+
+  const input = document.getElementById("searchInput");
+  let results = [];
+  input.oninput = () => {
+    results = searchSketches(index, input.value);
+    renderSearchResults(results, input.value);
+  };
+
+  // Enter opens the best match
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && results.length > 0) {
+      e.preventDefault();
+      render(results[0].sketch);
+    }
+  });
+
+  renderSearchResults(results, "");
+  input.focus();
+}
+
+function renderSearchResults(results, query) {
+  const container = document.getElementById("searchResults");
+
+  if (!query.trim()) {
+    container.innerHTML = `<p class="gallery-empty">${escapeHtml(
+      t("searchHint")
+    )}</p>`;
+    return;
+  }
+  if (results.length === 0) {
+    container.innerHTML = `<p class="gallery-empty">${escapeHtml(
+      t("noSearchMatches", query)
+    )}</p>`;
+    return;
+  }
+
+  container.innerHTML = `
+    <ul class="gallery-grid">
+      ${results
+        .map(
+          ({ sketch }, position) => `
+        <li class="gallery-item">
+          ${sketchThumbHtml(sketch, { "data-position": position })}
+        </li>`
+        )
+        .join("")}
+    </ul>
+  `;
+
+  container.querySelectorAll(".gallery-open").forEach((button) => {
+    button.onclick = () => {
+      render(results[Number(button.dataset.position)].sketch);
+    };
+  });
+}
+
+function isPanelOpen() {
+  return !!document.querySelector(".gallery");
+}
+
+function closePanel() {
+  if (currentSketch) {
+    render(currentSketch);
+  } else {
+    // Nothing was on screen yet (e.g. an error state), so start over
+    window.location.reload();
+  }
+}
+
+function initPanels() {
+  const favoritesBtn = document.getElementById("favoritesBtn");
+  favoritesBtn.onclick = async () => {
+    if (document.querySelector(".favorites-gallery")) {
+      closePanel();
+    } else {
+      await showGallery();
+    }
+  };
+
+  const historyBtn = document.getElementById("historyBtn");
+  historyBtn.onclick = async () => {
+    if (document.querySelector(".history-panel")) {
+      closePanel();
+    } else {
+      await showHistory();
+    }
+  };
+
+  const searchBtn = document.getElementById("searchBtn");
+  searchBtn.onclick = async () => {
+    if (document.querySelector(".search-panel")) {
+      closePanel();
+    } else {
+      await showSearch();
+    }
+  };
+}
+
+async function renderOrRedirect(sketchData) {
+  render(sketchData);
+
+  // Keep a copy for offline viewing (non-critical)
+  saveToLibrary(sketchData).catch((err) => {
+    console.warn("Saving to offline library failed:", err.message);
+  });
+
+  // Get the next sketches ready for refresh (non-critical)
+  prefetchNextSketches().catch((err) => {
+    console.warn("Prefetch failed:", err.message);
+  });
+}
+
+// Images of queued sketches, decoded ahead of time so showing one is instant.
+// Holding on to the elements keeps the decoded images in memory.
+const decodedImages = new Map();
+
+async function prefetchNextSketches() {
+  if (!navigator.onLine) return;
+  // Refilling would only add to a rate-limited source's load
+  const cache = await getConnectivityCache();
+  if (cache && isRateLimited(cache)) return;
+  await fillQueue(queueSizeFor(await getSchedule()));
+  const queue = await getQueue();
+  const queued = queue.map((sketch) => sketch.uid);
+
+  decodedImages.forEach((image, uid) => {
+    if (!queued.includes(uid)) decodedImages.delete(uid);
+  });
+
+  queue.forEach((sketch) => {
+    const src = safeImageUrl(sketch.image);
+    if (!src || decodedImages.has(sketch.uid)) return;
+    const image = new Image();
+    image.src = src;
+    decodedImages.set(sketch.uid, image);
+    image.decode().catch(() => decodedImages.delete(sketch.uid));
+  });
 }
 
 // ---- Theme toggle ----
-async function initTheme() {
-  // Use saved theme or default to system preference
-  const saved = await storage.get("theme", null);
+function getSystemTheme() {
   const prefersDark =
     window.matchMedia &&
     window.matchMedia("(prefers-color-scheme: dark)").matches;
-  const theme = saved || (prefersDark ? "dark" : "light");
-  applyTheme(theme);
-  updateThemeMenu(theme);
+  return prefersDark ? "dark" : "light";
+}
+
+async function initTheme() {
+  customThemes = await getCustomThemes();
+  themeSchedule = await getThemeSchedule();
+  renderCustomThemeOptions();
+  watchForWake();
+
+  // Use saved theme or default to system preference
+  const saved = await storage.get("theme", null);
+  chooseTheme(saved || getSystemTheme());
 
-  // Listen for OS theme changes (only if no saved preference)
-  if (!saved && window.matchMedia) {
+  // Listen for OS theme changes (the preference can be cleared from the options page)
+  if (window.matchMedia) {
     const mediaQuery = window.matchMedia("(prefers-color-scheme: dark)");
     mediaQuery.addEventListener("change", async (e) => {
       // Only update if user hasn't manually set a preference
       const currentSaved = await storage.get("theme", null);
       if (!currentSaved) {
-        const newTheme = e.matches ? "dark" : "light";
-        applyTheme(newTheme);
-        updateThemeMenu(newTheme);
+        chooseTheme(e.matches ? "dark" : "light");
+      } else if (shownTheme === ADAPTIVE_THEME) {
+        // The adaptive theme has light and dark versions
+        applyTheme(activeTheme);
       }
     });
   }
 
   // Initialize frequency menu
-  const frequency = await getFrequency();
-  updateFrequencyMenu(frequency);
+  const schedule = await getSchedule();
+  updateFrequencyMenu(schedule);
 
   // Setup palette menu for theme selection (light/dark/gradient)
   const paletteBtn = document.getElementById("paletteBtn");
   const themeMenu = document.getElementById("themeMenu");
-  const themeOptions = document.querySelectorAll(".theme-option");
-
-  // Toggle menu on palette button click
-  paletteBtn.onclick = (e) => {
-    e.stopPropagation();
-    // Close frequency menu when opening theme menu
-    const frequencyMenu = document.getElementById("frequencyMenu");
-    frequencyMenu.classList.add("hidden");
-    const isHidden = themeMenu.classList.toggle("hidden");
-    paletteBtn.setAttribute("aria-expanded", !isHidden);
-  };
 
-  // Close menu when clicking outside
-  document.addEventListener("click", (e) => {
-    if (!e.target.closest(".theme-palette")) {
-      themeMenu.classList.add("hidden");
-      paletteBtn.setAttribute("aria-expanded", "false");
+  // Preview themes while pointing at or moving through the menu
+  const previewOption = (e) => {
+    const option = e.target.closest(".theme-option[data-theme]");
+    if (option && option.dataset.theme !== activeTheme) {
+      applyTheme(option.dataset.theme);
     }
-  });
+  };
+  const endPreview = () => {
+    if (activeTheme !== chosenTheme) applyTheme(chosenTheme);
+  };
+  setupMenu(paletteBtn, themeMenu, { onClose: endPreview });
+
+  // Handle theme option clicks (custom theme options come and go, so the
+  // menu handles them all)
+  themeMenu.onclick = async (e) => {
+    const option = e.target.closest(".theme-option");
+    if (!option) return;
+    e.preventDefault();
+    if (option.id === "editThemesOption") {
+      closeMenu("paletteBtn");
+      openThemeEditor();
+      return;
+    }
+    chooseTheme(option.dataset.theme);
+    closeMenu("paletteBtn");
+    await storage.set("theme", option.dataset.theme);
+  };
 
-  // Handle theme option clicks
-  themeOptions.forEach((option) => {
-    option.onclick = async (e) => {
-      e.preventDefault();
-      const selectedTheme = option.dataset.theme;
-      applyTheme(selectedTheme);
-      await storage.set("theme", selectedTheme);
-      updateThemeMenu(selectedTheme);
-      themeMenu.classList.add("hidden");
-      paletteBtn.setAttribute("aria-expanded", "false");
-    };
+  themeMenu.addEventListener("mouseover", previewOption);
+  themeMenu.addEventListener("focusin", previewOption);
+  themeMenu.addEventListener("mouseleave", endPreview);
+  themeMenu.addEventListener("focusout", (e) => {
+    if (!themeMenu.contains(e.relatedTarget)) endPreview();
   });
 
   // Setup frequency menu
@@ -753,95 +1185,239 @@ async function initTheme() {
   const frequencyMenu = document.getElementById("frequencyMenu");
   const frequencyOptions = document.querySelectorAll(".frequency-option");
 
-  // Toggle frequency menu on button click
-  frequencyBtn.onclick = (e) => {
-    e.stopPropagation();
-    // Close theme menu when opening frequency menu
-    const themeMenu = document.getElementById("themeMenu");
-    themeMenu.classList.add("hidden");
-    const isHidden = frequencyMenu.classList.toggle("hidden");
-    frequencyBtn.setAttribute("aria-expanded", !isHidden);
-  };
-
-  // Close frequency menu when clicking outside
-  document.addEventListener("click", (e) => {
-    if (!e.target.closest(".frequency-palette")) {
-      frequencyMenu.classList.add("hidden");
-      frequencyBtn.setAttribute("aria-expanded", "false");
-    }
+  // The menu is the frequency options; the popup also holds their details
+  setupMenu(frequencyBtn, frequencyMenu, {
+    menu: document.getElementById("frequencyOptions"),
   });
 
-  // Setup bottom menu
-  const bottomMenuBtn = document.getElementById("bottomMenuBtn");
-  const bottomMenu = document.getElementById("bottomMenu");
-
-  // Toggle bottom menu on button click
-  bottomMenuBtn.onclick = (e) => {
-    e.stopPropagation();
-    // Close other menus when opening bottom menu
-    const themeMenu = document.getElementById("themeMenu");
-    themeMenu.classList.add("hidden");
-    frequencyMenu.classList.add("hidden");
-    const isHidden = bottomMenu.classList.toggle("hidden");
-    bottomMenuBtn.setAttribute("aria-expanded", !isHidden);
-  };
-
-  // Close bottom menu when clicking outside
-  document.addEventListener("click", (e) => {
-    if (!e.target.closest(".bottom-menu")) {
-      bottomMenu.classList.add("hidden");
-      bottomMenuBtn.setAttribute("aria-expanded", "false");
-    }
-  });
+  // Setup bottom menu (links, on small screens)
+  setupMenu(
+    document.getElementById("bottomMenuBtn"),
+    document.getElementById("bottomMenu")
+  );
 
   // Handle frequency option clicks
   frequencyOptions.forEach((option) => {
     option.onclick = async (e) => {
       e.preventDefault();
-      const selectedFrequency = option.dataset.frequency;
-      await setFrequency(selectedFrequency);
-      updateFrequencyMenu(selectedFrequency);
-      frequencyMenu.classList.add("hidden");
-      frequencyBtn.setAttribute("aria-expanded", "false");
+      const schedule = await getSchedule();
+      schedule.type = option.dataset.frequency;
+      await setSchedule(schedule);
+      updateFrequencyMenu(schedule);
+
+      // Keep the menu open when the schedule has details to adjust
+      if (schedule.type === FREQUENCY_EACH_TAB) closeMenu("frequencyBtn");
     };
   });
+
+  // Handle schedule detail changes (rollover time, weekday, hours)
+  const scheduleFields = {
+    rolloverTime: document.getElementById("rolloverTimeInput"),
+    weekday: document.getElementById("weekdaySelect"),
+    hours: document.getElementById("hoursSelect"),
+  };
+  Object.entries(scheduleFields).forEach(([key, field]) => {
+    field.onchange = async () => {
+      const schedule = await getSchedule();
+      schedule[key] =
+        key === "rolloverTime" ? field.value : Number(field.value);
+      await setSchedule(schedule);
+      updateFrequencyMenu(normalizeSchedule(schedule));
+    };
+  });
+}
+
+// Apply a theme as the user's choice (not a preview)
+function chooseTheme(theme) {
+  applyTheme(theme);
+  chosenTheme = activeTheme;
+  updateThemeMenu(chosenTheme);
 }
 
 function updateThemeMenu(activeTheme) {
-  const themeOptions = document.querySelectorAll(".theme-option");
+  const themeOptions = document.querySelectorAll(".theme-option[data-theme]");
   themeOptions.forEach((option) => {
-    option.classList.remove("active");
-    if (option.dataset.theme === activeTheme) {
-      option.classList.add("active");
-    }
+    const active = option.dataset.theme === activeTheme;
+    option.classList.toggle("active", active);
+    option.setAttribute("aria-checked", active);
   });
 }
 
-function updateFrequencyMenu(activeFrequency) {
+// List custom themes in the theme menu after the built-in ones
+function renderCustomThemeOptions() {
+  const themeMenu = document.getElementById("themeMenu");
+  themeMenu
+    .querySelectorAll(".custom-theme-option")
+    .forEach((option) => option.remove());
+
+  const editOption = document.getElementById("editThemesOption");
+  customThemes.forEach((theme) => {
+    const stops = theme.gradients[0] || [theme.background, theme.background];
+    themeMenu.insertBefore(
+      el(
+        "button",
+        {
+          class: "theme-option custom-theme-option",
+          "data-theme": customThemeValue(theme),
+          role: "menuitemradio",
+          "aria-checked": "false",
+        },
+        el("span", {
+          class: "theme-swatch",
+          style: `background: linear-gradient(135deg, ${stops.join(", ")})`,
+          "aria-hidden": "true",
+        }),
+        el("span", {}, theme.name)
+      ),
+      editOption
+    );
+  });
+  updateThemeMenu(chosenTheme);
+}
+
+function openThemeEditor() {
+  if (typeof chrome !== "undefined" && chrome.runtime?.openOptionsPage) {
+    chrome.runtime.openOptionsPage();
+  } else {
+    window.open("options.html#themesHeading", "_blank");
+  }
+}
+
+function updateFrequencyMenu(schedule) {
   const frequencyOptions = document.querySelectorAll(".frequency-option");
   frequencyOptions.forEach((option) => {
-    option.classList.remove("active");
-    if (option.dataset.frequency === activeFrequency) {
-      option.classList.add("active");
+    const active = option.dataset.frequency === schedule.type;
+    option.classList.toggle("active", active);
+    option.setAttribute("aria-checked", active);
+  });
+
+  // Only show the details that apply to the active schedule
+  document.querySelectorAll(".frequency-field").forEach((field) => {
+    field.hidden = !field.dataset.for.split(" ").includes(schedule.type);
+  });
+  document.getElementById("rolloverTimeInput").value = schedule.rolloverTime;
+  document.getElementById("weekdaySelect").value = schedule.weekday;
+  document.getElementById("hoursSelect").value = schedule.hours;
+}
+
+// Pick up settings changed elsewhere (e.g. the options page) while this tab is open
+function initSettingsSync() {
+  storage.onChanged(async (changes) => {
+    if ("customThemes" in changes) {
+      customThemes = changes.customThemes || [];
+      renderCustomThemeOptions();
+      // Show edits to the theme in use straight away
+      if (isCustomTheme(chosenTheme) || chosenTheme === AUTO_THEME) {
+        chooseTheme(chosenTheme);
+      }
+    }
+
+    if ("themeSchedule" in changes) {
+      themeSchedule = await getThemeSchedule();
+      if (chosenTheme === AUTO_THEME) chooseTheme(AUTO_THEME);
+    }
+
+    if ("theme" in changes) {
+      const theme = changes.theme || getSystemTheme();
+      if (theme !== chosenTheme) chooseTheme(theme);
+    }
+
+    if ("keyBindings" in changes) {
+      keyBindings = normalizeBindings(changes.keyBindings);
+      updateCommandBindings?.(keyBindings);
+    }
+
+    if ("showCaption" in changes) {
+      showCaption = changes.showCaption ?? true;
+      // Re-render the sketch on screen (but not the gallery or history)
+      if (currentSketch && document.querySelector(".sketch-container")) {
+        renderSketch(currentSketch);
+      }
+    }
+
+    if ("frequency" in changes) {
+      updateFrequencyMenu(normalizeSchedule(changes.frequency));
+    }
+
+    if ("sourceEndpoint" in changes) {
+      allowSourceHost((await getSourceConfig()).endpoint);
+    }
+
+    // Test offline mode only takes effect on load
+    if (
+      "testOfflineMode" in changes &&
+      !!changes.testOfflineMode !== isTestOfflineMode
+    ) {
+      window.location.reload();
     }
   });
 }
 
+// CSS variables a custom theme sets on the body
+const CUSTOM_THEME_PROPERTIES = [
+  "--bg",
+  "--fg",
+  "--muted",
+  "--border",
+  "--bg-hover",
+  "--bg-hover-light",
+  "--accent",
+  "--gradient-color-1",
+  "--gradient-color-2",
+  "--gradient-color-3",
+];
+
+// Apply a theme: "light", "dark", "gradient" or "custom:<id>". A custom theme
+// that no longer exists falls back to the system theme.
 function applyTheme(mode) {
+  activeTheme = mode;
+  clearTimeout(autoThemeTimer);
+  autoThemeUntil = null;
+  if (mode === AUTO_THEME) {
+    const scheduled = scheduledTheme(themeSchedule);
+    mode = scheduled.theme;
+    scheduleAutoTheme(scheduled.until);
+  }
+
+  const customTheme = findCustomTheme(customThemes, mode);
+  if (isCustomTheme(mode) && !customTheme) {
+    mode = getSystemTheme();
+    if (activeTheme !== AUTO_THEME) activeTheme = mode;
+  }
+  shownTheme = mode;
+
   document.body.classList.remove("theme-dark");
   document.body.classList.remove("theme-gradient");
+  document.body.classList.remove("theme-custom");
+  CUSTOM_THEME_PROPERTIES.forEach((property) =>
+    document.body.style.removeProperty(property)
+  );
+  clearTimeout(gradientTimer);
 
+  let lightText = mode === "dark" || mode === "gradient";
   if (mode === "dark") {
     document.body.classList.add("theme-dark");
   } else if (mode === "gradient") {
     document.body.classList.add("theme-gradient");
-    startGradientRotation();
+    startGradientRotation(gradientColorSets, GRADIENT_ROTATION_INTERVAL_MS);
+  } else if (customTheme) {
+    applyCustomTheme(customTheme);
+    lightText = luminance(customTheme.text) > luminance(customTheme.background);
+  } else if (mode === ADAPTIVE_THEME) {
+    // Until the sketch's colors are known, the last sketch's are kept
+    const theme = adaptiveTheme(
+      adaptiveColors?.colors || [],
+      getSystemTheme() === "dark"
+    );
+    applyCustomTheme(theme);
+    lightText = getSystemTheme() === "dark";
+    adaptToSketch();
   }
 
   // Update logo based on theme
   const logoImg = document.getElementById("logoImg");
   if (logoImg) {
-    if (mode === "dark" || mode === "gradient") {
+    if (lightText) {
       logoImg.src = "images/sketchplanations-logo-white-transparent.png";
     } else {
       logoImg.src = "images/sketchplanations-logo-black-transparent.png";
@@ -849,9 +1425,99 @@ function applyTheme(mode) {
   }
 }
 
-function startGradientRotation() {
-  // Only start rotation if we're in gradient mode
-  if (!document.body.classList.contains("theme-gradient")) return;
+// Sample the colors of the sketch on screen once its image has loaded, then
+// show them if the adaptive theme is still shown
+async function adaptToSketch() {
+  const img = document.querySelector(".sketch-img.is-loaded");
+  const uid = currentSketch?.uid;
+  if (!img || !uid || adaptiveColors?.uid === uid) return;
+
+  let colors;
+  try {
+    colors = await sketchPalette(uid, img);
+  } catch (err) {
+    console.warn("Couldn't sample the sketch's colors:", err.message);
+    return;
+  }
+  if (currentSketch?.uid !== uid) return;
+  adaptiveColors = { uid, colors };
+  if (shownTheme === ADAPTIVE_THEME) applyTheme(activeTheme);
+}
+
+// Switch the auto theme when the next period starts. The timer only says
+// when to look again: the theme itself comes from the clock.
+function scheduleAutoTheme(until) {
+  autoThemeUntil = until;
+  autoThemeTimer = setTimeout(() => {
+    if (activeTheme === AUTO_THEME) applyTheme(AUTO_THEME);
+  }, Math.max(until - Date.now(), 1000));
+}
+
+// Timers don't run while the computer sleeps, so on waking the auto theme
+// and gradient can be hours out of date. A tick that arrives much later than
+// expected means the computer was asleep: apply the theme again from the
+// clock.
+const WAKE_CHECK_INTERVAL_MS = 30000;
+
+function watchForWake() {
+  let lastTick = Date.now();
+  setInterval(() => {
+    const now = Date.now();
+    if (now - lastTick > WAKE_CHECK_INTERVAL_MS * 2) applyTheme(activeTheme);
+    lastTick = now;
+  }, WAKE_CHECK_INTERVAL_MS);
+
+  // Background tabs have their timers throttled, so catch up when shown
+  document.addEventListener("visibilitychange", () => {
+    if (
+      document.visibilityState === "visible" &&
+      autoThemeUntil &&
+      Date.now() >= autoThemeUntil
+    ) {
+      applyTheme(activeTheme);
+    }
+  });
+}
+
+function applyCustomTheme(theme) {
+  const style = document.body.style;
+  document.body.classList.add("theme-custom");
+
+  // Muted text, borders and hovers are mixed from the text color
+  style.setProperty("--bg", theme.background);
+  style.setProperty("--fg", theme.text);
+  style.setProperty(
+    "--muted",
+    `color-mix(in srgb, ${theme.text} 78%, transparent)`
+  );
+  style.setProperty(
+    "--border",
+    `color-mix(in srgb, ${theme.text} 26%, transparent)`
+  );
+  style.setProperty(
+    "--bg-hover",
+    `color-mix(in srgb, ${theme.text} 8%, transparent)`
+  );
+  style.setProperty(
+    "--bg-hover-light",
+    `color-mix(in srgb, ${theme.text} 8%, transparent)`
+  );
+  style.setProperty("--accent", theme.accent);
+
+  // Without gradients the background is a flat color
+  const colorSets = theme.gradients.length
+    ? theme.gradients.map(([c1, c2, c3]) => ({ c1, c2, c3 }))
+    : [{ c1: theme.background, c2: theme.background, c3: theme.background }];
+  startGradientRotation(colorSets, theme.rotationMinutes * 60 * 1000);
+}
+
+// Timer for the next gradient transition, cleared when the theme changes
+let gradientTimer = null;
+
+// Rotate through colorSets, changing every intervalMs counted from midnight
+// so every tab shows the same gradient
+function startGradientRotation(colorSets, intervalMs) {
+  clearTimeout(gradientTimer);
 
   // Calculate current gradient index based on time of day
   function getCurrentGradientIndex() {
@@ -865,16 +1531,13 @@ function startGradientRotation() {
       0
     );
     const elapsed = now - midnight; // milliseconds since midnight
-    return (
-      Math.floor(elapsed / GRADIENT_ROTATION_INTERVAL_MS) %
-      gradientColorSets.length
-    );
+    return Math.floor(elapsed / intervalMs) % colorSets.length;
   }
 
   // Apply gradient colors for a given index
   function applyGradient(index, skipTransition = false) {
-    const colors = gradientColorSets[index];
-    const transitionDurationSeconds = GRADIENT_ROTATION_INTERVAL_MS / 1000;
+    const colors = colorSets[index];
+    const transitionDurationSeconds = intervalMs / 1000;
 
     if (skipTransition) {
       // Temporarily disable transition for instant gradient change
@@ -900,16 +1563,13 @@ function startGradientRotation() {
 
   // Schedule next gradient transition
   function scheduleNextTransition() {
-    if (!document.body.classList.contains("theme-gradient")) return;
-
     // Calculate time until next gradient boundary
     const now = new Date();
     const elapsed =
       now - new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0);
-    const msUntilNext =
-      GRADIENT_ROTATION_INTERVAL_MS - (elapsed % GRADIENT_ROTATION_INTERVAL_MS);
+    const msUntilNext = intervalMs - (elapsed % intervalMs);
 
-    setTimeout(() => {
+    gradientTimer = setTimeout(() => {
       // Recalculate index from midnight (prevents drift)
       const currentIndex = getCurrentGradientIndex();
       applyGradient(currentIndex);
@@ -923,17 +1583,24 @@ function startGradientRotation() {
   const initialIndex = getCurrentGradientIndex();
   applyGradient(initialIndex, true);
 
-  // Schedule first transition
-  scheduleNextTransition();
+  // Only one set, so nothing to rotate
+  if (colorSets.length > 1) scheduleNextTransition();
 }
 
 async function init() {
+  localizePage();
   await initTheme();
+  showCaption = await storage.get("showCaption", true);
+  captionExpanded = await storage.get("captionExpanded", false);
+  allowSourceHost((await getSourceConfig()).endpoint);
+  initSettingsSync();
+  initPanels();
+  await initKeyboard();
 
   // Check if test offline mode is enabled (read from storage)
   isTestOfflineMode = await storage.get("testOfflineMode", false);
   if (isTestOfflineMode) {
-    showError(new Error("Testing offline mode"));
+    await showError(new Error("Testing offline mode"));
     return;
   }
 
@@ -943,82 +1610,73 @@ async function init() {
     await clearConnectivityCache();
     // Auto-retry when connection is restored
     try {
-      loading("Connection restored, loading sketch…");
+      loading(t("loadingReconnected"));
       const sketchData = await nextUniqueSketch();
-      await rememberSketch(sketchData.uid);
       await renderOrRedirect(sketchData);
     } catch (err) {
-      const diagnosis = await diagnoseConnectivity();
-      await setConnectivityCache(diagnosis.state);
-      showErrorState(diagnosis.state, diagnosis.detail);
+      const diagnosis = await diagnoseConnectivity(err);
+      await setConnectivityCache(diagnosis);
+      await showConnectivityState(diagnosis.state, diagnosis.detail);
     }
   });
 
-  window.addEventListener("offline", () => {
+  window.addEventListener("offline", async () => {
     // Show offline state immediately when connection is lost
-    showErrorState("offline");
+    await showOfflineState();
   });
 
   // Check if we should use cached error state to avoid long waits
   if (await shouldUseCachedError()) {
     const cache = await getConnectivityCache();
 
+    // A sketch that's still current, or a queued one, doesn't need the source
+    const ready = await withFetchLock(() => currentOrQueuedSketch());
+    if (ready) {
+      await renderOrRedirect(ready);
+      return;
+    }
+    // Don't ask again before a rate-limited source said to
+    if (isRateLimited(cache)) {
+      showErrorState(cache.state, cache.detail);
+      return;
+    }
+
     // Try a quick API check first (3 second timeout) before showing cached error
-    loading("Checking if service is back online…");
+    loading(t("loadingCheckingService"));
 
     try {
-      // Quick check with shorter timeout
-      const quickController = new AbortController();
-      const quickTimeoutId = setTimeout(() => quickController.abort(), 3000);
-
-      const res = await fetch(API + "?t=" + Date.now(), {
-        cache: "no-store",
-        signal: quickController.signal,
+      // One quick try, without retries (another tab may have fetched a
+      // sketch meanwhile, which is used instead)
+      const sketchData = await nextUniqueSketch({
+        timeoutMs: 3000,
+        maxRetries: 0,
       });
-      clearTimeout(quickTimeoutId);
-
-      if (res.ok) {
-        const data = await res.json();
-        if (data && data.uid) {
-          // Service is back! Clear cache and render normally
-          await clearConnectivityCache();
-          const sketchData = {
-            uid: data.uid,
-            title: data.title || data.uid.replace(/-/g, " "),
-            image: data.imageUrlOptimised || data.imageUrl || null,
-            url: data.pageUrl || `https://sketchplanations.com/${data.uid}`,
-            description: data.description || "",
-            prints: data.redbubbleUrl || null,
-            imageAlt: data.imageAlt || data.title || "",
-            publishedAt: data.publishedAt || null,
-            podcastUrl: data.podcastUrl || null,
-          };
-          await rememberSketch(sketchData.uid);
-          await renderOrRedirect(sketchData);
-          return;
-        }
-      }
+
+      // Service is back (fetching cleared the cached error), render normally
+      await renderOrRedirect(sketchData);
+      return;
     } catch (err) {
       // Quick check failed, service still down
+      console.warn("Quick service check failed:", err.message);
     }
 
     // Service still down, show cached error
-    showErrorState(cache.state);
+    showErrorState(cache.state, cache.detail);
     return;
   }
 
   try {
-    loading("Loading a fresh Sketchplanation…");
+    loading(t("loadingFresh"));
     const sketchData = await nextUniqueSketch();
-    await clearConnectivityCache(); // Clear cache on successful fetch
-    await rememberSketch(sketchData.uid);
     await renderOrRedirect(sketchData);
   } catch (err) {
     // Diagnose the error and show appropriate state
-    const diagnosis = await diagnoseConnectivity();
-    await setConnectivityCache(diagnosis.state);
-    showErrorState(diagnosis.state, diagnosis.detail);
+    const diagnosis = await diagnoseConnectivity(err);
+    await setConnectivityCache(diagnosis);
+    await showConnectivityState(diagnosis.state, diagnosis.detail);
   }
 }
 
-init();
+// Bring stored data up to the current schema before anything reads it, and
+// have the messages ready before anything is shown
+Promise.all([runMigrations(), loadMessages()]).then(init);
@@ -0,0 +1,724 @@
+import { storage } from "./storage.js";
+import { runMigrations } from "./schema.js";
+import { loadMessages, t } from "./i18n.js";
+import {
+  getSchedule,
+  setSchedule,
+  getRecentSize,
+  setRecentSize,
+} from "./settings.js";
+import { getLibraryUsage, clearLibrary, formatBytes } from "./library.js";
+import {
+  getBlockedSketches,
+  unblockSketch,
+  getTopicFilters,
+  setTopicFilters,
+  parseTopics,
+} from "./filters.js";
+import {
+  createBackup,
+  backupFilename,
+  importBackup,
+  IMPORT_REPLACE,
+} from "./backup.js";
+import {
+  adapters,
+  DEFAULT_ENDPOINT,
+  getSourceConfig,
+  setSourceConfig,
+  checkEndpoint,
+} from "./source.js";
+import {
+  DEFAULT_PROBE_URL,
+  getProbeUrl,
+  setProbeUrl,
+  checkProbeUrl,
+} from "./connectivity.js";
+import {
+  NEW_THEME,
+  MAX_GRADIENTS,
+  BUILT_IN_THEMES,
+  AUTO_THEME,
+  MAX_THEME_PERIODS,
+  getThemeSchedule,
+  setThemeSchedule,
+  customThemeValue,
+  getCustomThemes,
+  saveCustomTheme,
+  deleteCustomTheme,
+  themeSnippet,
+  parseThemeSnippet,
+} from "./themes.js";
+import {
+  COMMANDS,
+  getKeyBindings,
+  setKeyBinding,
+  resetKeyBindings,
+  keyName,
+  keyLabel,
+} from "./keyboard.js";
+
+const themeSelect = document.getElementById("themeSelect");
+const frequencySelect = document.getElementById("frequencySelect");
+const scheduleFields = {
+  rolloverTime: document.getElementById("rolloverTimeInput"),
+  weekday: document.getElementById("weekdaySelect"),
+  hours: document.getElementById("hoursSelect"),
+};
+const recentSizeInput = document.getElementById("recentSizeInput");
+const includeTopicsInput = document.getElementById("includeTopicsInput");
+const excludeTopicsInput = document.getElementById("excludeTopicsInput");
+const showCaptionInput = document.getElementById("showCaptionInput");
+const testOfflineModeInput = document.getElementById("testOfflineModeInput");
+const sourceEndpointInput = document.getElementById("sourceEndpointInput");
+const sourceAdapterSelect = document.getElementById("sourceAdapterSelect");
+const sourceResult = document.getElementById("sourceResult");
+const probeUrlInput = document.getElementById("probeUrlInput");
+const probeResult = document.getElementById("probeResult");
+const themePeriodRows = document.getElementById("themePeriodRows");
+const themeEditor = document.getElementById("themeEditor");
+const themeFields = {
+  name: document.getElementById("themeNameInput"),
+  background: document.getElementById("themeBackgroundInput"),
+  text: document.getElementById("themeTextInput"),
+  accent: document.getElementById("themeAccentInput"),
+  rotationMinutes: document.getElementById("themeRotationInput"),
+};
+const gradientRows = document.getElementById("gradientRows");
+const themeResult = document.getElementById("themeResult");
+
+// Id of the theme open in the editor (null for a new one)
+let editingThemeId = null;
+
+// Briefly confirm that a change was saved
+let statusTimeoutId = null;
+function showStatus(message) {
+  const status = document.getElementById("savedStatus");
+  status.textContent = message;
+  clearTimeout(statusTimeoutId);
+  statusTimeoutId = setTimeout(() => {
+    status.textContent = "";
+  }, 2000);
+}
+
+// One row per command that can be rebound. Clicking the key button waits for
+// the next key press.
+async function loadShortcuts() {
+  const bindings = await getKeyBindings();
+  document.getElementById("shortcutRows").replaceChildren(
+    ...COMMANDS.filter((command) => !command.fixed).map((command) => {
+      const row = document.createElement("div");
+      row.className = "option-row";
+
+      const label = document.createElement("span");
+      label.className = "option-label";
+      label.textContent = t(command.message);
+
+      const button = document.createElement("button");
+      button.className = "option-button shortcut-key";
+      const showKeys = () => {
+        const keys = bindings[command.id];
+        button.textContent = keys.length
+          ? keys.map(keyLabel).join(` ${t("shortcutOr")} `)
+          : t("shortcutNotSet");
+        button.setAttribute(
+          "aria-label",
+          `${label.textContent}: ${button.textContent}`
+        );
+      };
+      showKeys();
+
+      let recording = false;
+      button.onclick = () => {
+        recording = true;
+        button.textContent = t("shortcutPressKey");
+      };
+      button.onblur = () => {
+        recording = false;
+        showKeys();
+      };
+      button.onkeydown = async (e) => {
+        if (!recording) return;
+        if (e.key === "Escape") {
+          e.preventDefault();
+          button.blur();
+          return;
+        }
+        const clear = e.key === "Backspace" || e.key === "Delete";
+        const key = clear ? null : keyName(e);
+        if (!clear && !key) return;
+        e.preventDefault();
+        recording = false;
+
+        const displaced = await setKeyBinding(command.id, key);
+        await loadShortcuts();
+        const names = displaced.map((id) =>
+          t(COMMANDS.find((other) => other.id === id).message)
+        );
+        showStatus(
+          names.length
+            ? t("shortcutSavedDisplaced", names.join(", "))
+            : t("shortcutSaved")
+        );
+      };
+
+      row.append(label, button);
+      return row;
+    })
+  );
+}
+
+async function loadSettings() {
+  const themes = await loadCustomThemes();
+  themeSelect.value = (await storage.get("theme", null)) || "";
+  await loadThemeSchedule(themes);
+  showCaptionInput.checked = await storage.get("showCaption", true);
+  updateScheduleForm(await getSchedule());
+  recentSizeInput.value = await getRecentSize();
+  const topics = await getTopicFilters();
+  includeTopicsInput.value = topics.include.join(", ");
+  excludeTopicsInput.value = topics.exclude.join(", ");
+  await loadBlockedSketches();
+  testOfflineModeInput.checked = await storage.get("testOfflineMode", false);
+  await loadShortcuts();
+}
+
+async function loadBlockedSketches() {
+  const blocked = await getBlockedSketches();
+  const list = document.getElementById("blockedList");
+  list.replaceChildren(
+    ...blocked.map((entry) => {
+      const item = document.createElement("li");
+      item.className = "option-row theme-list-item";
+
+      const name = document.createElement("span");
+      name.className = "option-label";
+      name.textContent = entry.title;
+
+      const button = document.createElement("button");
+      button.className = "option-button";
+      button.textContent = t("showAgain");
+      button.onclick = async () => {
+        await unblockSketch(entry.uid);
+        showStatus(t("sketchUnblocked", entry.title));
+      };
+
+      item.append(name, button);
+      return item;
+    })
+  );
+  document.getElementById("noBlockedSketches").hidden = blocked.length > 0;
+}
+
+async function loadSource() {
+  sourceEndpointInput.placeholder = DEFAULT_ENDPOINT;
+  sourceAdapterSelect.innerHTML = Object.entries(adapters)
+    .map(([id, adapter]) => `<option value="${id}">${adapter.label}</option>`)
+    .join("");
+
+  const source = await getSourceConfig();
+  sourceEndpointInput.value =
+    source.endpoint === DEFAULT_ENDPOINT ? "" : source.endpoint;
+  sourceAdapterSelect.value = source.adapter;
+
+  probeUrlInput.placeholder = DEFAULT_PROBE_URL;
+  const probeUrl = await getProbeUrl();
+  probeUrlInput.value = probeUrl === DEFAULT_PROBE_URL ? "" : probeUrl;
+}
+
+// Custom endpoints and probes on other hosts need permission to be read
+async function requestHostPermission(url) {
+  if (typeof chrome === "undefined" || !chrome.permissions) return true;
+  const origin = new URL(url).origin + "/*";
+  try {
+    return await chrome.permissions.request({ origins: [origin] });
+  } catch {
+    // Hosts outside optional_host_permissions can't be requested
+    return false;
+  }
+}
+
+// List custom themes, and offer them in the theme select
+async function loadCustomThemes() {
+  const themes = await getCustomThemes();
+
+  themeSelect.querySelectorAll("[data-custom]").forEach((option) => {
+    option.remove();
+  });
+  themes.forEach((theme) => {
+    const option = document.createElement("option");
+    option.value = customThemeValue(theme);
+    option.textContent = theme.name;
+    option.dataset.custom = "";
+    themeSelect.append(option);
+  });
+
+  const list = document.getElementById("customThemeList");
+  list.replaceChildren(
+    ...themes.map((theme) => {
+      const item = document.createElement("li");
+      item.className = "option-row theme-list-item";
+
+      const name = document.createElement("span");
+      name.className = "option-label";
+      name.textContent = theme.name;
+
+      const actions = document.createElement("span");
+      actions.className = "theme-actions";
+      [
+        ["Edit", () => openThemeEditor(theme)],
+        ["Copy", () => copyTheme(theme)],
+        ["Delete", () => removeTheme(theme)],
+      ].forEach(([label, onclick]) => {
+        const button = document.createElement("button");
+        button.className = "option-button";
+        button.textContent = label;
+        button.onclick = onclick;
+        actions.append(button);
+      });
+
+      item.append(name, actions);
+      return item;
+    })
+  );
+  document.getElementById("noCustomThemes").hidden = themes.length > 0;
+  return themes;
+}
+
+const THEME_NAMES = {
+  light: "Light",
+  dark: "Dark",
+  gradient: "Gradient",
+  adaptive: "Adaptive",
+};
+
+// Show the auto theme's schedule, when the auto theme is chosen
+async function loadThemeSchedule(themes) {
+  document.getElementById("themeScheduleField").hidden =
+    themeSelect.value !== AUTO_THEME;
+
+  const choices = [
+    ...BUILT_IN_THEMES.map((theme) => [theme, THEME_NAMES[theme]]),
+    ...themes.map((theme) => [customThemeValue(theme), theme.name]),
+  ];
+  const periods = await getThemeSchedule();
+  themePeriodRows.replaceChildren(
+    ...periods.map((period) => {
+      const row = document.createElement("div");
+      row.className = "option-row theme-period";
+
+      const start = document.createElement("input");
+      start.type = "time";
+      start.value = period.start;
+      start.setAttribute("aria-label", "Starts at");
+      start.onchange = saveThemeSchedule;
+
+      const theme = document.createElement("select");
+      theme.setAttribute("aria-label", "Theme");
+      choices.forEach(([value, name]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = name;
+        theme.append(option);
+      });
+      theme.value = period.theme;
+      theme.onchange = saveThemeSchedule;
+
+      const remove = document.createElement("button");
+      remove.className = "option-button";
+      remove.textContent = "Remove";
+      remove.disabled = periods.length === 1;
+      remove.onclick = async () => {
+        row.remove();
+        await saveThemeSchedule();
+      };
+
+      row.append(start, theme, remove);
+      return row;
+    })
+  );
+  document.getElementById("addThemePeriodBtn").disabled =
+    periods.length >= MAX_THEME_PERIODS;
+}
+
+async function saveThemeSchedule() {
+  const periods = [...themePeriodRows.children].map((row) => ({
+    start: row.querySelector("input").value,
+    theme: row.querySelector("select").value,
+  }));
+  await setThemeSchedule(periods);
+  await loadSettings();
+  showStatus("Theme schedule saved");
+}
+
+function addGradientRow(stops) {
+  const row = document.createElement("div");
+  row.className = "gradient-row";
+  stops.forEach((color, index) => {
+    const input = document.createElement("input");
+    input.type = "color";
+    input.value = color;
+    input.setAttribute("aria-label", `Gradient color ${index + 1}`);
+    row.append(input);
+  });
+  const remove = document.createElement("button");
+  remove.type = "button";
+  remove.className = "option-button";
+  remove.textContent = "Remove";
+  remove.onclick = () => {
+    row.remove();
+    updateGradientButton();
+  };
+  row.append(remove);
+  gradientRows.append(row);
+  updateGradientButton();
+}
+
+function updateGradientButton() {
+  document.getElementById("addGradientBtn").disabled =
+    gradientRows.children.length >= MAX_GRADIENTS;
+}
+
+// Open the editor on a saved theme, or on a new one
+function openThemeEditor(theme = null) {
+  editingThemeId = theme ? theme.id : null;
+  const values = theme || NEW_THEME;
+  themeFields.name.value = values.name;
+  themeFields.background.value = values.background;
+  themeFields.text.value = values.text;
+  themeFields.accent.value = values.accent;
+  themeFields.rotationMinutes.value = values.rotationMinutes;
+  gradientRows.replaceChildren();
+  values.gradients.forEach(addGradientRow);
+  updateGradientButton();
+
+  themeEditor.hidden = false;
+  themeResult.textContent = "";
+  themeFields.name.focus();
+}
+
+function closeThemeEditor() {
+  themeEditor.hidden = true;
+  editingThemeId = null;
+}
+
+function themeFromEditor() {
+  return {
+    id: editingThemeId,
+    name: themeFields.name.value,
+    background: themeFields.background.value,
+    text: themeFields.text.value,
+    accent: themeFields.accent.value,
+    gradients: [...gradientRows.children].map((row) =>
+      [...row.querySelectorAll("input")].map((input) => input.value)
+    ),
+    rotationMinutes: Number(themeFields.rotationMinutes.value),
+  };
+}
+
+async function copyTheme(theme) {
+  try {
+    await navigator.clipboard.writeText(themeSnippet(theme));
+    themeResult.textContent = `Copied "${theme.name}". Anyone can add it under Add a shared theme.`;
+  } catch {
+    themeResult.textContent = "Couldn't copy to the clipboard.";
+  }
+}
+
+async function removeTheme(theme) {
+  if (!confirm(`Delete the theme "${theme.name}"?`)) return;
+  await deleteCustomTheme(theme.id);
+  if (editingThemeId === theme.id) closeThemeEditor();
+  await loadSettings();
+  themeResult.textContent = `Deleted "${theme.name}".`;
+}
+
+function updateScheduleForm(schedule) {
+  frequencySelect.value = schedule.type;
+  scheduleFields.rolloverTime.value = schedule.rolloverTime;
+  scheduleFields.weekday.value = schedule.weekday;
+  scheduleFields.hours.value = schedule.hours;
+
+  // Only show the details that apply to the chosen schedule
+  document.querySelectorAll(".schedule-field").forEach((row) => {
+    row.hidden = !row.dataset.for.split(" ").includes(schedule.type);
+  });
+}
+
+async function loadUsage() {
+  try {
+    const usage = await getLibraryUsage();
+    document.getElementById("libraryUsage").textContent = `${usage.count} of ${
+      usage.maxCount
+    } sketches · ${formatBytes(usage.bytes)} of ${formatBytes(usage.maxBytes)}`;
+  } catch (err) {
+    document.getElementById("libraryUsage").textContent = "Unavailable";
+  }
+
+  const history = await storage.get("history", []);
+  document.getElementById("historyUsage").textContent = `${
+    history.length
+  } sketch${history.length === 1 ? "" : "es"}`;
+}
+
+themeSelect.onchange = async () => {
+  // An empty value means follow the system preference
+  await storage.set("theme", themeSelect.value || null);
+  await loadSettings();
+  showStatus("Theme saved");
+};
+
+// A new period starts an hour after the last one, with the first theme
+document.getElementById("addThemePeriodBtn").onclick = async () => {
+  const periods = await getThemeSchedule();
+  const [hours, minutes] = periods[periods.length - 1].start.split(":");
+  const start = `${String((Number(hours) + 1) % 24).padStart(
+    2,
+    "0"
+  )}:${minutes}`;
+  await setThemeSchedule([...periods, { start, theme: BUILT_IN_THEMES[0] }]);
+  await loadSettings();
+};
+
+showCaptionInput.onchange = async () => {
+  await storage.set("showCaption", showCaptionInput.checked);
+  showStatus(`Caption ${showCaptionInput.checked ? "shown" : "hidden"}`);
+};
+
+document.getElementById("newThemeBtn").onclick = () => openThemeEditor();
+document.getElementById("cancelThemeBtn").onclick = closeThemeEditor;
+// New gradients start from the theme's own colors
+document.getElementById("addGradientBtn").onclick = () => {
+  const { background, accent } = themeFields;
+  addGradientRow([background.value, accent.value, background.value]);
+};
+
+themeEditor.onsubmit = async (e) => {
+  e.preventDefault();
+  try {
+    const theme = await saveCustomTheme(themeFromEditor());
+    await storage.set("theme", customThemeValue(theme));
+    closeThemeEditor();
+    await loadSettings();
+    themeResult.textContent = `Saved "${theme.name}" and made it your theme.`;
+  } catch (err) {
+    themeResult.textContent = err.message;
+  }
+};
+
+document.getElementById("importThemeBtn").onclick = async () => {
+  const input = document.getElementById("themeImportInput");
+  try {
+    const theme = await saveCustomTheme(parseThemeSnippet(input.value));
+    input.value = "";
+    await loadSettings();
+    themeResult.textContent = `Added "${theme.name}". Pick it under Theme to use it.`;
+  } catch (err) {
+    themeResult.textContent = err.message;
+  }
+};
+
+document.getElementById("resetShortcutsBtn").onclick = async () => {
+  await resetKeyBindings();
+  await loadShortcuts();
+  showStatus("Shortcuts reset");
+};
+
+frequencySelect.onchange = async () => {
+  const schedule = await getSchedule();
+  schedule.type = frequencySelect.value;
+  await setSchedule(schedule);
+  updateScheduleForm(await getSchedule());
+  showStatus("Frequency saved");
+};
+
+Object.entries(scheduleFields).forEach(([key, field]) => {
+  field.onchange = async () => {
+    const schedule = await getSchedule();
+    schedule[key] = key === "rolloverTime" ? field.value : Number(field.value);
+    await setSchedule(schedule);
+    updateScheduleForm(await getSchedule());
+    showStatus("Frequency saved");
+  };
+});
+
+recentSizeInput.onchange = async () => {
+  await setRecentSize(Number(recentSizeInput.value));
+  recentSizeInput.value = await getRecentSize();
+  showStatus("No-repeat window saved");
+};
+
+// Topics are saved lowercased and without punctuation, and shown that way
+const saveTopics = async () => {
+  await setTopicFilters({
+    include: parseTopics(includeTopicsInput.value),
+    exclude: parseTopics(excludeTopicsInput.value),
+  });
+  await loadSettings();
+  showStatus("Topics saved");
+};
+includeTopicsInput.onchange = saveTopics;
+excludeTopicsInput.onchange = saveTopics;
+
+testOfflineModeInput.onchange = async () => {
+  await storage.set("testOfflineMode", testOfflineModeInput.checked);
+  showStatus(
+    `Test offline mode ${testOfflineModeInput.checked ? "on" : "off"}`
+  );
+};
+
+document.getElementById("clearLibraryBtn").onclick = async () => {
+  await clearLibrary();
+  await loadUsage();
+  showStatus("Offline library cleared");
+};
+
+document.getElementById("clearHistoryBtn").onclick = async () => {
+  await storage.set("history", []);
+  await loadUsage();
+  showStatus("History cleared");
+};
+
+document.getElementById("clearSketchCacheBtn").onclick = async () => {
+  await storage.set("lastSketch", null);
+  await storage.set("lastFetchTime", null);
+  await storage.set("connectivityCache", null);
+  showStatus("Cached sketch cleared");
+};
+
+document.getElementById("saveSourceBtn").onclick = async () => {
+  const endpoint = sourceEndpointInput.value.trim();
+  if (endpoint) {
+    const problem = checkEndpoint(endpoint);
+    if (problem) {
+      sourceResult.textContent = problem + ".";
+      return;
+    }
+    if (!(await requestHostPermission(endpoint))) {
+      sourceResult.textContent =
+        "The extension needs permission to fetch from that endpoint.";
+      return;
+    }
+  }
+
+  await setSourceConfig({ endpoint, adapter: sourceAdapterSelect.value });
+  sourceResult.textContent = endpoint
+    ? `New sketches will come from ${new URL(endpoint).host}.`
+    : "New sketches will come from sketchplanations.com.";
+};
+
+document.getElementById("resetSourceBtn").onclick = async () => {
+  await setSourceConfig({ endpoint: null, adapter: null });
+  await loadSource();
+  sourceResult.textContent =
+    "New sketches will come from sketchplanations.com.";
+};
+
+document.getElementById("saveProbeBtn").onclick = async () => {
+  const probeUrl = probeUrlInput.value.trim();
+  if (probeUrl) {
+    const problem = checkProbeUrl(probeUrl);
+    if (problem) {
+      probeResult.textContent = problem + ".";
+      return;
+    }
+  }
+
+  await setProbeUrl(probeUrl);
+  if (!probeUrl) {
+    probeResult.textContent = "The connection will be checked with Google.";
+  } else if (await requestHostPermission(probeUrl)) {
+    probeResult.textContent = `The connection will be checked with ${
+      new URL(probeUrl).host
+    }.`;
+  } else {
+    probeResult.textContent = `The connection will be checked with ${
+      new URL(probeUrl).host
+    }, but without permission to read its responses, network sign-in pages can't be spotted.`;
+  }
+};
+
+document.getElementById("resetProbeBtn").onclick = async () => {
+  await setProbeUrl(null);
+  await loadSource();
+  probeResult.textContent = "The connection will be checked with Google.";
+};
+
+document.getElementById("exportBtn").onclick = async () => {
+  const backup = await createBackup();
+  const blob = new Blob([JSON.stringify(backup, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = backupFilename();
+  a.click();
+  // The download starts after this task; revoking now can cancel it
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  showStatus("Backup exported");
+};
+
+document.getElementById("importBtn").onclick = async () => {
+  const importResult = document.getElementById("importResult");
+  const file = document.getElementById("importFileInput").files[0];
+  if (!file) {
+    importResult.textContent = "Choose a backup file to import first.";
+    return;
+  }
+
+  const strategy = document.getElementById("importStrategySelect").value;
+  if (
+    strategy === IMPORT_REPLACE &&
+    !confirm("Replace your current favorites and history with the backup?")
+  ) {
+    return;
+  }
+
+  try {
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch {
+      throw new Error("The file isn't valid JSON.");
+    }
+    const counts = await importBackup(backup, strategy);
+    importResult.textContent = `Imported ${counts.favorites} favorites and ${counts.history} history entries.`;
+    await loadSettings();
+    await loadUsage();
+  } catch (err) {
+    importResult.textContent = err.message;
+  }
+};
+
+// Stored keys the form shows. Pages and the service worker write other keys
+// (the queue, fetch log, palettes) all the time, and reloading the form for
+// those would undo whatever is being typed.
+const SETTINGS_KEYS = [
+  "theme",
+  "customThemes",
+  "themeSchedule",
+  "showCaption",
+  "frequency",
+  "recentSize",
+  "topicFilters",
+  "blockedSketches",
+  "keyBindings",
+  "testOfflineMode",
+];
+const USAGE_KEYS = ["history"];
+
+// Keep the form in step with changes made from a new tab
+storage.onChanged(async (changes) => {
+  const changed = (keys) => keys.some((key) => key in changes);
+  if (changed(SETTINGS_KEYS)) await loadSettings();
+  if (changed(USAGE_KEYS)) await loadUsage();
+});
+
+// Bring stored data up to the current schema before anything reads it. The
+// shortcut rows come from the message catalogs.
+Promise.all([runMigrations(), loadMessages()]).then(() => {
+  loadSettings();
+  loadUsage();
+  loadSource();
+});
@@ -0,0 +1,223 @@
+// Adaptive theme: background colors taken from the sketch on screen
+// A sketch's dominant colors are sampled once its image has loaded and cached
+// by uid. The theme built from them keeps text and controls at WCAG AA
+// contrast against every part of the background.
+import { storage } from "./storage.js";
+import { luminance } from "./themes.js";
+
+const CACHE_KEY = "sketchPalettes";
+const CACHE_SIZE = 100;
+
+// Images are scaled down to at most this many pixels across before sampling
+const SAMPLE_SIZE = 64;
+
+// Most sketches are dark ink on white paper, so those don't count as colors
+const MIN_SATURATION = 0.2;
+const MIN_LIGHTNESS = 0.12;
+const MAX_LIGHTNESS = 0.92;
+
+// Dominant colors must be at least this far apart in hue
+const MIN_HUE_DISTANCE = 30;
+const MAX_COLORS = 3;
+
+// Used when a sketch has no color at all
+const NEUTRAL_COLOR = "#6b7280";
+
+// WCAG AA contrast for normal text
+const MIN_CONTRAST = 4.5;
+
+function toHex(r, g, b) {
+  return (
+    "#" +
+    [r, g, b]
+      .map((channel) => Math.round(channel).toString(16).padStart(2, "0"))
+      .join("")
+  );
+}
+
+function rgbToHsl(r, g, b) {
+  [r, g, b] = [r / 255, g / 255, b / 255];
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l };
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return { h: h * 60, s, l };
+}
+
+function hslToHex({ h, s, l }) {
+  const a = s * Math.min(l, 1 - l);
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    return 255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+  return toHex(channel(0), channel(8), channel(4));
+}
+
+function hexToHsl(color) {
+  const [r, g, b] = [1, 3, 5].map((start) =>
+    parseInt(color.slice(start, start + 2), 16)
+  );
+  return rgbToHsl(r, g, b);
+}
+
+// WCAG contrast ratio between two #rrggbb colors
+export function contrastRatio(a, b) {
+  const [lighter, darker] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+function hueDistance(a, b) {
+  const distance = Math.abs(a - b) % 360;
+  return Math.min(distance, 360 - distance);
+}
+
+// Draw an image (or bitmap) small and read its pixels
+function readPixels(source, width, height) {
+  const scale = Math.min(1, SAMPLE_SIZE / Math.max(width, height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+}
+
+async function imagePixels(img) {
+  try {
+    return readPixels(img, img.naturalWidth, img.naturalHeight);
+  } catch (err) {
+    if (err.name !== "SecurityError") throw err;
+  }
+  // A cross-origin image taints the canvas, but the extension can still
+  // fetch the bytes itself (usually straight from the HTTP cache)
+  const res = await fetch(img.currentSrc || img.src);
+  if (!res.ok) throw new Error("Failed to fetch sketch image: " + res.status);
+  const bitmap = await createImageBitmap(await res.blob());
+  try {
+    return readPixels(bitmap, bitmap.width, bitmap.height);
+  } finally {
+    bitmap.close();
+  }
+}
+
+// Up to MAX_COLORS dominant colors from RGBA pixels, most common first.
+// Near-white, near-black and grey pixels are skipped.
+export function dominantColors(pixels) {
+  const buckets = new Map();
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (pixels[i + 3] < 128) continue;
+    const [r, g, b] = [pixels[i], pixels[i + 1], pixels[i + 2]];
+    const { s, l } = rgbToHsl(r, g, b);
+    if (s < MIN_SATURATION || l < MIN_LIGHTNESS || l > MAX_LIGHTNESS) {
+      continue;
+    }
+    // Group similar colors: 4 bits per channel
+    const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bucket.count++;
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+    buckets.set(key, bucket);
+  }
+
+  const colors = [];
+  [...buckets.values()]
+    .sort((a, b) => b.count - a.count)
+    .forEach((bucket) => {
+      if (colors.length >= MAX_COLORS) return;
+      const hsl = rgbToHsl(
+        bucket.r / bucket.count,
+        bucket.g / bucket.count,
+        bucket.b / bucket.count
+      );
+      if (
+        colors.every((color) => hueDistance(color.h, hsl.h) >= MIN_HUE_DISTANCE)
+      ) {
+        colors.push(hsl);
+      }
+    });
+  return colors.map(hslToHex);
+}
+
+async function getCache() {
+  return await storage.get(CACHE_KEY, {});
+}
+
+// The sketch's dominant colors, sampled from its loaded image the first time
+export async function sketchPalette(uid, img) {
+  const cache = await getCache();
+  if (cache[uid]) return cache[uid];
+
+  const colors = dominantColors(await imagePixels(img));
+
+  // Keep the newest entries (objects keep insertion order)
+  const updated = { ...(await getCache()) };
+  delete updated[uid];
+  updated[uid] = colors;
+  const uids = Object.keys(updated);
+  uids.slice(0, Math.max(0, uids.length - CACHE_SIZE)).forEach((old) => {
+    delete updated[old];
+  });
+  await storage.set(CACHE_KEY, updated);
+  return colors;
+}
+
+// Move a color's lightness in steps until it contrasts enough with every
+// color in against
+function withContrast(hsl, against, step) {
+  const color = { ...hsl };
+  let hex = hslToHex(color);
+  while (
+    against.some((other) => contrastRatio(hex, other) < MIN_CONTRAST) &&
+    color.l > 0 &&
+    color.l < 1
+  ) {
+    color.l = Math.min(1, Math.max(0, color.l + step));
+    hex = hslToHex(color);
+  }
+  return hex;
+}
+
+// A theme (in the custom theme shape) built from a sketch's colors: soft
+// tints of them for the gradient, with dark text on light tints or light
+// text on dark ones, and the most colorful one as the accent
+export function adaptiveTheme(colors, dark = false) {
+  const hsls = (colors.length ? colors : [NEUTRAL_COLOR]).map(hexToHsl);
+  while (hsls.length < 3) hsls.push(hsls[hsls.length - 1]);
+
+  const text = dark ? "#ffffff" : "#111111";
+  const lightness = dark ? [0.22, 0.17, 0.12] : [0.94, 0.89, 0.84];
+  const stops = hsls.slice(0, 3).map((hsl, index) =>
+    // Lighten (or darken) any tint that's too close to the text
+    withContrast(
+      { h: hsl.h, s: Math.min(hsl.s, 0.45), l: lightness[index] },
+      [text],
+      dark ? -0.02 : 0.02
+    )
+  );
+
+  // Active menu items put background-colored text on the accent
+  const vivid = hsls.reduce((best, hsl) => (hsl.s > best.s ? hsl : best));
+  const accent = withContrast(
+    { h: vivid.h, s: Math.max(vivid.s, 0.5), l: dark ? 0.6 : 0.42 },
+    stops,
+    dark ? 0.02 : -0.02
+  );
+
+  return {
+    name: "Adaptive",
+    background: stops[1],
+    text,
+    accent,
+    gradients: [stops],
+    rotationMinutes: 60,
+  };
+}
@@ -0,0 +1,147 @@
+// Sketches fetched ahead of time
+// The background service worker keeps a few sketches in the queue, with their
+// images saved in the offline library, so a new tab that needs a fresh sketch
+// can show one straight away. New tabs take from the front of the queue.
+import { storage } from "./storage.js";
+import { saveToLibrary } from "./library.js";
+import { fetchSketchData } from "./source.js";
+import { FREQUENCY_EACH_TAB } from "./settings.js";
+import { getBlockedUids, getTopicFilters, topicRank } from "./filters.js";
+
+export const QUEUE_KEY = "sketchQueue";
+
+// How many sketches to keep ready: enough for the next rollover and a
+// refresh, or a few more when every tab gets a new sketch
+export const QUEUE_SIZE = 2;
+export const QUEUE_SIZE_EACH_TAB = 3;
+
+// How many sketches to fetch looking for one that suits
+const FETCH_ATTEMPTS = 6;
+
+// Thrown when every sketch fetched was one the user blocked
+export class BlockedSketchesError extends Error {
+  constructor() {
+    super("Every sketch fetched was blocked");
+    this.name = "BlockedSketchesError";
+  }
+}
+
+export function queueSizeFor(schedule) {
+  return schedule.type === FREQUENCY_EACH_TAB
+    ? QUEUE_SIZE_EACH_TAB
+    : QUEUE_SIZE;
+}
+
+// Only one page or worker fetches at a time. Tabs opened together at a
+// rollover wait for the first one and reuse its sketch, and nothing races to
+// write lastSketch, recent, history or the queue.
+export async function withFetchLock(callback) {
+  if (!navigator.locks) return await callback();
+  return await navigator.locks.request("sketchplanations-fetch", callback);
+}
+
+export async function getQueue() {
+  return await storage.get(QUEUE_KEY, []);
+}
+
+export async function clearQueue() {
+  await storage.set(QUEUE_KEY, []);
+}
+
+// Fetch a sketch that suits the topic filters and isn't in the no-repeat
+// window or already queued. Blocked sketches are never used. When a few tries
+// don't find one, the best of them wins: topics count for more than repeats,
+// so a sketch on an excluded topic is the last resort. fetchOptions are passed
+// on to fetchSketchData.
+export async function fetchUnseenSketch(fetchOptions = {}) {
+  const recent = await storage.get("recent", []);
+  const queued = (await getQueue()).map((sketch) => sketch.uid);
+  const blocked = await getBlockedUids();
+  const topics = await getTopicFilters();
+
+  let best = null;
+  let bestScore = Infinity;
+  for (let i = 0; i < FETCH_ATTEMPTS; i++) {
+    const data = await fetchSketchData(fetchOptions);
+    if (blocked.includes(data.uid)) continue;
+    const seen = recent.includes(data.uid) || queued.includes(data.uid);
+    const score = topicRank(data, topics) * 2 + (seen ? 1 : 0);
+    if (score === 0) return data;
+    if (score < bestScore) {
+      best = data;
+      bestScore = score;
+    }
+  }
+  if (!best) throw new BlockedSketchesError();
+  return best;
+}
+
+// Take the next queued sketch that hasn't been seen or blocked since it was
+// queued, or null if there isn't one. Call inside withFetchLock.
+export async function takeQueuedSketch() {
+  const recent = await storage.get("recent", []);
+  const blocked = await getBlockedUids();
+  const queue = await getQueue();
+  if (queue.length === 0) return null;
+
+  let sketch = null;
+  while (queue.length > 0 && !sketch) {
+    const next = queue.shift();
+    if (!recent.includes(next.uid) && !blocked.includes(next.uid)) {
+      sketch = next;
+    }
+  }
+  await storage.set(QUEUE_KEY, queue);
+  return sketch;
+}
+
+// The stored queue without sketches seen or blocked since they were queued
+async function currentQueue() {
+  const recent = await storage.get("recent", []);
+  const blocked = await getBlockedUids();
+  const stored = await getQueue();
+  const queue = stored.filter(
+    (sketch) => !recent.includes(sketch.uid) && !blocked.includes(sketch.uid)
+  );
+  if (queue.length !== stored.length) await storage.set(QUEUE_KEY, queue);
+  return queue;
+}
+
+// Fetch sketches and their images until the queue holds size sketches.
+// Failures (e.g. offline) just leave the queue shorter. The lock is only held
+// while the queue is read or changed, never during a fetch, so a tab that
+// needs a sketch doesn't wait for a refill. Fills running side by side can
+// fetch the same sketch, so each one is checked again before it's added.
+export async function fillQueue(size) {
+  while ((await withFetchLock(currentQueue)).length < size) {
+    let sketch;
+    try {
+      sketch = await fetchUnseenSketch();
+    } catch (err) {
+      console.warn("Couldn't fill the sketch queue:", err.message);
+      return;
+    }
+    // The image is what makes a queued sketch instant, but the sketch is
+    // still worth keeping if it can't be saved
+    await saveToLibrary(sketch).catch((err) => {
+      console.warn("Couldn't save a queued sketch's image:", err.message);
+    });
+
+    const added = await withFetchLock(async () => {
+      const queue = await currentQueue();
+      const recent = await storage.get("recent", []);
+      if (
+        queue.length >= size ||
+        recent.includes(sketch.uid) ||
+        queue.some((queued) => queued.uid === sketch.uid)
+      ) {
+        return false;
+      }
+      queue.push(sketch);
+      await storage.set(QUEUE_KEY, queue);
+      return true;
+    });
+    // Another fill or a new tab got there first; the next refill tops up
+    if (!added) return;
+  }
+}
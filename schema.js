@@ -0,0 +1,205 @@
+// Versioned storage schema
+// The stored version lives under "schemaVersion". At startup, migrations bring
+// older data up to the current version, then values that don't match the
+// schema are dropped so reads fall back to their defaults. Migration steps and
+// cleaners are pure functions of a snapshot of storage, so they can be run
+// against fixture data.
+import { storage } from "./storage.js";
+import { normalizeSchedule, MAX_RECENT_SIZE } from "./settings.js";
+import { adapters } from "./source.js";
+import { normalizeTopicFilters } from "./filters.js";
+import {
+  isColor,
+  isThemeValue,
+  validateTheme,
+  normalizeThemeSchedule,
+} from "./themes.js";
+
+export const SCHEMA_VERSION_KEY = "schemaVersion";
+
+const FAVORITES_SORTS = ["saved", "published"];
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function isDateString(value) {
+  return typeof value === "string" && !Number.isNaN(Date.parse(value));
+}
+
+function isSketch(value) {
+  return (
+    isPlainObject(value) && typeof value.uid === "string" && value.uid !== ""
+  );
+}
+
+// Migration steps in order: MIGRATIONS[n] upgrades a snapshot from version n
+// to n + 1. A step gets a copy of everything stored and returns the new copy.
+export const MIGRATIONS = [
+  // 0 → 1: lastSketch used to be the raw API response, before responses were
+  // mapped to { image, url, prints, ... }
+  (data) => {
+    const sketch = data.lastSketch;
+    if (!isSketch(sketch) || "image" in sketch || "url" in sketch) {
+      return data;
+    }
+    const problems = adapters.v1.validate(sketch);
+    return {
+      ...data,
+      lastSketch: problems.length === 0 ? adapters.v1.map(sketch) : null,
+    };
+  },
+
+  // 1 → 2: frequency was a name ("daily", "hourly", ...) before schedules
+  (data) =>
+    typeof data.frequency === "string"
+      ? { ...data, frequency: normalizeSchedule(data.frequency) }
+      : data,
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+// Cleaners for known keys: each returns the value to keep (possibly repaired)
+// or undefined to drop it. Unknown keys are left alone.
+export const SCHEMA = {
+  theme: (value) => (isThemeValue(value) ? value : undefined),
+  customThemes: (value) =>
+    Array.isArray(value)
+      ? value.filter(
+          (theme) =>
+            typeof theme?.id === "string" && validateTheme(theme).length === 0
+        )
+      : undefined,
+  sketchPalettes: (value) =>
+    isPlainObject(value)
+      ? Object.fromEntries(
+          Object.entries(value).filter(
+            ([, colors]) => Array.isArray(colors) && colors.every(isColor)
+          )
+        )
+      : undefined,
+  keyBindings: (value) =>
+    isPlainObject(value)
+      ? Object.fromEntries(
+          Object.entries(value).filter(
+            ([, keys]) =>
+              Array.isArray(keys) &&
+              keys.every((key) => typeof key === "string")
+          )
+        )
+      : undefined,
+  themeSchedule: (value) =>
+    Array.isArray(value) ? normalizeThemeSchedule(value) : undefined,
+  // Devices that haven't updated yet can still sync a frequency name
+  frequency: (value) =>
+    typeof value === "string" || isPlainObject(value)
+      ? normalizeSchedule(value)
+      : undefined,
+  recentSize: (value) =>
+    Number.isInteger(value) && value >= 0 && value <= MAX_RECENT_SIZE
+      ? value
+      : undefined,
+  favoritesSort: (value) =>
+    FAVORITES_SORTS.includes(value) ? value : undefined,
+  showCaption: (value) => (typeof value === "boolean" ? value : undefined),
+  captionExpanded: (value) => (typeof value === "boolean" ? value : undefined),
+  testOfflineMode: (value) => (typeof value === "boolean" ? value : undefined),
+  recent: (value) =>
+    Array.isArray(value)
+      ? value.filter((uid) => typeof uid === "string")
+      : undefined,
+  lastSketch: (value) => (isSketch(value) ? value : undefined),
+  sketchQueue: (value) =>
+    Array.isArray(value) ? value.filter(isSketch) : undefined,
+  lastFetchTime: (value) => (isDateString(value) ? value : undefined),
+  connectivityCache: (value) =>
+    isPlainObject(value) &&
+    typeof value.state === "string" &&
+    typeof value.timestamp === "number"
+      ? value
+      : undefined,
+  favorites: (value) =>
+    Array.isArray(value)
+      ? value.filter(
+          (entry) =>
+            isPlainObject(entry) &&
+            isSketch(entry.sketch) &&
+            isDateString(entry.savedAt)
+        )
+      : undefined,
+  history: (value) =>
+    Array.isArray(value)
+      ? value.filter(
+          (entry) =>
+            isPlainObject(entry) &&
+            isSketch(entry.sketch) &&
+            isDateString(entry.viewedAt)
+        )
+      : undefined,
+  blockedSketches: (value) =>
+    Array.isArray(value)
+      ? value.filter(
+          (entry) =>
+            isPlainObject(entry) &&
+            typeof entry.uid === "string" &&
+            entry.uid !== "" &&
+            isDateString(entry.blockedAt)
+        )
+      : undefined,
+  topicFilters: (value) =>
+    isPlainObject(value) ? normalizeTopicFilters(value) : undefined,
+  fetchLog: (value) =>
+    Array.isArray(value) ? value.filter(isPlainObject) : undefined,
+  sourceEndpoint: (value) => (typeof value === "string" ? value : undefined),
+  probeUrl: (value) => (typeof value === "string" ? value : undefined),
+  sourceAdapter: (value) =>
+    typeof value === "string" && adapters[value] ? value : undefined,
+};
+
+export function storedVersion(data) {
+  const version = data[SCHEMA_VERSION_KEY];
+  return Number.isInteger(version) && version >= 0 ? version : 0;
+}
+
+// Run the migrations a snapshot still needs and clean every known key.
+// null means "not set" everywhere in storage, so it's always kept.
+export function migrate(data) {
+  // Data from a newer version of the extension is left as it is
+  if (storedVersion(data) > SCHEMA_VERSION) return { ...data };
+
+  let migrated = { ...data };
+  for (let version = storedVersion(data); version < SCHEMA_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+
+  Object.entries(SCHEMA).forEach(([key, clean]) => {
+    if (migrated[key] === undefined || migrated[key] === null) return;
+    const value = clean(migrated[key]);
+    if (value === undefined) delete migrated[key];
+    else migrated[key] = value;
+  });
+
+  migrated[SCHEMA_VERSION_KEY] = SCHEMA_VERSION;
+  return migrated;
+}
+
+// Bring storage up to date. Runs on every page load before anything is read;
+// it only writes keys that changed. Never throws: if storage can't be read at
+// all, pages carry on with defaults.
+export async function runMigrations() {
+  try {
+    const data = await storage.getAll();
+    const migrated = migrate(data);
+
+    for (const key of Object.keys(data)) {
+      if (!(key in migrated)) await storage.remove(key);
+    }
+    for (const [key, value] of Object.entries(migrated)) {
+      if (JSON.stringify(value) !== JSON.stringify(data[key])) {
+        await storage.set(key, value);
+      }
+    }
+  } catch (err) {
+    console.error("Storage migration failed:", err);
+  }
+}
@@ -0,0 +1,80 @@
+// Check the message catalogs in _locales against the English one: every key
+// in every locale, no keys English doesn't have, and the same placeholders,
+// so substitutions land in the right place. Run with:
+//   node scripts/check-locales.mjs
+import { readdir, readFile } from "node:fs/promises";
+
+const LOCALES_DIR = new URL("../_locales/", import.meta.url);
+const DEFAULT_LOCALE = "en";
+
+async function readCatalog(locale) {
+  return JSON.parse(
+    await readFile(new URL(`${locale}/messages.json`, LOCALES_DIR), "utf8")
+  );
+}
+
+// The $name$ placeholders a message uses, lowercased like chrome.i18n does
+function placeholdersIn(message) {
+  return [...message.matchAll(/\$([a-z0-9_@]+)\$/gi)]
+    .map((match) => match[1].toLowerCase())
+    .sort();
+}
+
+function checkEntry(locale, key, entry, reference) {
+  const problems = [];
+  if (typeof entry.message !== "string" || !entry.message.trim()) {
+    return [`${locale}: ${key} has no message`];
+  }
+  const used = placeholdersIn(entry.message);
+  const defined = Object.keys(entry.placeholders || {}).map((name) =>
+    name.toLowerCase()
+  );
+  used
+    .filter((name) => !defined.includes(name))
+    .forEach((name) => {
+      problems.push(`${locale}: ${key} uses $${name}$ without defining it`);
+    });
+  if (reference && used.join() !== placeholdersIn(reference.message).join()) {
+    problems.push(
+      `${locale}: ${key} has placeholders ${used.join(", ") || "(none)"}` +
+        ` but ${DEFAULT_LOCALE} has ${
+          placeholdersIn(reference.message).join(", ") || "(none)"
+        }`
+    );
+  }
+  return problems;
+}
+
+const locales = (await readdir(LOCALES_DIR, { withFileTypes: true }))
+  .filter((entry) => entry.isDirectory())
+  .map((entry) => entry.name);
+const reference = await readCatalog(DEFAULT_LOCALE);
+const problems = [];
+
+for (const locale of locales) {
+  const catalog = await readCatalog(locale);
+  const isDefault = locale === DEFAULT_LOCALE;
+  Object.keys(reference)
+    .filter((key) => !(key in catalog))
+    .forEach((key) => problems.push(`${locale}: ${key} is missing`));
+  Object.entries(catalog).forEach(([key, entry]) => {
+    if (!(key in reference)) {
+      problems.push(`${locale}: ${key} isn't in ${DEFAULT_LOCALE}`);
+      return;
+    }
+    problems.push(
+      ...checkEntry(locale, key, entry, isDefault ? null : reference[key])
+    );
+  });
+}
+
+if (problems.length > 0) {
+  console.error(problems.join("\n"));
+  process.exitCode = 1;
+} else {
+  console.log(
+    `${locales.length} locales, ${
+      Object.keys(reference).length
+    } messages each: all present.`
+  );
+}
@@ -0,0 +1,90 @@
+// Local full-text search over sketches the extension has seen
+// The index is built from history and favorites, so it works offline.
+
+// Field weights: a match in the title counts for more than one in the write-up
+const FIELD_WEIGHTS = { title: 5, imageAlt: 2, description: 1 };
+
+// Plain text from a Prismic rich text description or a markdown string
+export function descriptionText(description) {
+  if (Array.isArray(description)) {
+    return description.map((block) => (block && block.text) || "").join(" ");
+  }
+  if (typeof description === "string") {
+    return description.replace(/[*_#>`[\]()-]/g, " ");
+  }
+  return "";
+}
+
+// Lowercase words without accents, for matching
+export function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// Build a search index from favorites and history entries. Each sketch is
+// indexed once, keeping the most recent time it was seen or saved.
+export function buildSearchIndex(favorites, history) {
+  const entries = new Map();
+
+  const add = (sketch, seenAt) => {
+    if (!sketch || !sketch.uid) return;
+    const existing = entries.get(sketch.uid);
+    const time = Date.parse(seenAt) || 0;
+    if (existing) {
+      existing.seenAt = Math.max(existing.seenAt, time);
+      return;
+    }
+    entries.set(sketch.uid, {
+      sketch,
+      seenAt: time,
+      fields: {
+        title: tokenize(sketch.title),
+        imageAlt: tokenize(sketch.imageAlt),
+        description: tokenize(descriptionText(sketch.description)),
+      },
+    });
+  };
+
+  history.forEach((entry) => add(entry.sketch, entry.viewedAt));
+  favorites.forEach((favorite) => add(favorite.sketch, favorite.savedAt));
+
+  return [...entries.values()];
+}
+
+function scoreTerm(entry, term) {
+  let score = 0;
+  Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+    entry.fields[field].forEach((word) => {
+      if (word === term) score += weight * 2;
+      else if (word.startsWith(term)) score += weight;
+    });
+  });
+  return score;
+}
+
+// Search the index. Every word in the query has to match, at least as the
+// start of a word so results update while typing. Best matches come first,
+// then the most recently seen.
+export function searchSketches(index, query, limit = 48) {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+
+  const results = [];
+  index.forEach((entry) => {
+    let score = 0;
+    for (const term of terms) {
+      const termScore = scoreTerm(entry, term);
+      if (termScore === 0) return;
+      score += termScore;
+    }
+    results.push({ sketch: entry.sketch, score, seenAt: entry.seenAt });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || b.seenAt - a.seenAt)
+    .slice(0, limit);
+}
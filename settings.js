@@ -0,0 +1,174 @@
+// Settings shared by the new tab and options pages
+import { storage } from "./storage.js";
+
+// Frequency schedule types
+export const FREQUENCY_DAILY = "daily";
+export const FREQUENCY_WEEKDAYS = "weekdays";
+export const FREQUENCY_WEEKLY = "weekly";
+export const FREQUENCY_HOURLY = "hourly";
+export const FREQUENCY_EACH_TAB = "each-tab";
+
+const FREQUENCY_TYPES = [
+  FREQUENCY_DAILY,
+  FREQUENCY_WEEKDAYS,
+  FREQUENCY_WEEKLY,
+  FREQUENCY_HOURLY,
+  FREQUENCY_EACH_TAB,
+];
+
+// Hour intervals offered for the "every N hours" schedule
+export const HOUR_INTERVALS = [1, 2, 3, 4, 6, 8, 12];
+
+// A schedule says when a new sketch is due. Daily, weekday and weekly
+// schedules roll over at rolloverTime (local "HH:MM"); weekday is 0 (Sunday)
+// to 6 and only applies to weekly; hours only applies to hourly.
+export const DEFAULT_SCHEDULE = {
+  type: FREQUENCY_DAILY,
+  rolloverTime: "00:00",
+  hours: 1,
+  weekday: 1,
+};
+
+// How many recent sketches to avoid repeating
+export const DEFAULT_RECENT_SIZE = 24;
+export const MAX_RECENT_SIZE = 200;
+
+// How many viewed sketches to keep in history
+export const HISTORY_SIZE = 200;
+
+// Turn a stored frequency into a complete schedule. Older versions stored
+// a plain string ("daily", "hourly" or "each-tab").
+export function normalizeSchedule(value) {
+  const schedule =
+    typeof value === "string" ? { type: value } : { ...(value || {}) };
+
+  if (!FREQUENCY_TYPES.includes(schedule.type)) {
+    schedule.type = DEFAULT_SCHEDULE.type;
+  }
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.rolloverTime)) {
+    schedule.rolloverTime = DEFAULT_SCHEDULE.rolloverTime;
+  }
+  if (!HOUR_INTERVALS.includes(schedule.hours)) {
+    schedule.hours = DEFAULT_SCHEDULE.hours;
+  }
+  if (!Number.isInteger(schedule.weekday) || schedule.weekday < 0) {
+    schedule.weekday = DEFAULT_SCHEDULE.weekday;
+  }
+  schedule.weekday %= 7;
+
+  return {
+    type: schedule.type,
+    rolloverTime: schedule.rolloverTime,
+    hours: schedule.hours,
+    weekday: schedule.weekday,
+  };
+}
+
+export async function getSchedule() {
+  const stored = await storage.get("frequency", null);
+  const schedule = normalizeSchedule(stored);
+
+  // Migrate the old string format so other pages see the new shape
+  if (typeof stored === "string") {
+    await setSchedule(schedule);
+  }
+
+  return schedule;
+}
+
+export async function setSchedule(schedule) {
+  await storage.set("frequency", normalizeSchedule(schedule));
+}
+
+function isRolloverDay(schedule, date) {
+  switch (schedule.type) {
+    case FREQUENCY_WEEKDAYS:
+      // Friday's sketch stays over the weekend
+      return date.getDay() >= 1 && date.getDay() <= 5;
+    case FREQUENCY_WEEKLY:
+      return date.getDay() === schedule.weekday;
+    default:
+      return true;
+  }
+}
+
+// Most recent rollover at or before now for day-based schedules
+export function previousRollover(schedule, now = new Date()) {
+  const [hours, minutes] = schedule.rolloverTime.split(":").map(Number);
+  const rollover = new Date(
+    now.getFullYear(),
+    now.getMonth(),
+    now.getDate(),
+    hours,
+    minutes
+  );
+  if (rollover > now) rollover.setDate(rollover.getDate() - 1);
+  while (!isRolloverDay(schedule, rollover)) {
+    rollover.setDate(rollover.getDate() - 1);
+  }
+  return rollover;
+}
+
+// When the sketch fetched at lastFetchTime is due to be replaced, or null
+// when every tab gets a new sketch
+export function nextRollover(schedule, lastFetchTime, now = new Date()) {
+  switch (schedule.type) {
+    case FREQUENCY_DAILY:
+    case FREQUENCY_WEEKDAYS:
+    case FREQUENCY_WEEKLY: {
+      const rollover = previousRollover(schedule, now);
+      do {
+        rollover.setDate(rollover.getDate() + 1);
+      } while (!isRolloverDay(schedule, rollover));
+      return rollover;
+    }
+
+    case FREQUENCY_HOURLY: {
+      const lastFetch = lastFetchTime ? new Date(lastFetchTime) : now;
+      return new Date(lastFetch.getTime() + schedule.hours * 60 * 60 * 1000);
+    }
+
+    default:
+      return null;
+  }
+}
+
+export function shouldFetchNewSketch(
+  schedule,
+  lastFetchTime,
+  now = new Date()
+) {
+  if (!lastFetchTime) return true;
+
+  const lastFetch = new Date(lastFetchTime);
+
+  switch (schedule.type) {
+    case FREQUENCY_DAILY:
+    case FREQUENCY_WEEKDAYS:
+    case FREQUENCY_WEEKLY:
+      // Check if a rollover has passed since the last fetch
+      return lastFetch < previousRollover(schedule, now);
+
+    case FREQUENCY_HOURLY:
+      // Check if it's been the chosen number of hours
+      return (
+        now.getTime() - lastFetch.getTime() >= schedule.hours * 60 * 60 * 1000
+      );
+
+    case FREQUENCY_EACH_TAB:
+      // Always fetch new sketch
+      return true;
+
+    default:
+      return true;
+  }
+}
+
+export async function getRecentSize() {
+  return await storage.get("recentSize", DEFAULT_RECENT_SIZE);
+}
+
+export async function setRecentSize(size) {
+  const clamped = Math.min(Math.max(Math.round(size) || 0, 0), MAX_RECENT_SIZE);
+  await storage.set("recentSize", clamped);
+}
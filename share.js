@@ -0,0 +1,158 @@
+// Sharing a sketch: the image itself (clipboard, download, Web Share) and
+// snippets with the title, link and Creative Commons attribution
+import { escapeHtml } from "./caption.js";
+import { safeUrl, sketchPageUrl } from "./view.js";
+
+export const AUTHOR = "Jono Hey";
+export const LICENCE_URL = "https://sketchplanations.com/licence";
+
+const IMAGE_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "image/svg+xml": "svg",
+};
+
+// The public image URL, even for a sketch shown from the offline library
+function publicImageUrl(sketchData) {
+  return safeUrl(sketchData.remoteImage || sketchData.image);
+}
+
+function altText(sketchData) {
+  return sketchData.imageAlt || sketchData.title;
+}
+
+export function textSnippet(sketchData) {
+  return [
+    `${sketchData.title} – ${sketchPageUrl(sketchData)}`,
+    `Sketchplanations by ${AUTHOR}, shared under a Creative Commons licence: ${LICENCE_URL}`,
+  ].join("\n");
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\[\]()*_`!<>])/g, "\\$1");
+}
+
+export function markdownSnippet(sketchData) {
+  const url = sketchPageUrl(sketchData);
+  const image = publicImageUrl(sketchData);
+  const lines = [];
+  if (image) {
+    lines.push(`[![${escapeMarkdown(altText(sketchData))}](${image})](${url})`);
+    lines.push("");
+  }
+  lines.push(
+    `[${escapeMarkdown(
+      sketchData.title
+    )}](${url}) by ${AUTHOR}, [Sketchplanations](https://sketchplanations.com) · [Creative Commons licence](${LICENCE_URL})`
+  );
+  return lines.join("\n");
+}
+
+export function htmlSnippet(sketchData) {
+  const url = escapeHtml(sketchPageUrl(sketchData));
+  const image = publicImageUrl(sketchData);
+  const title = escapeHtml(sketchData.title);
+  return [
+    "<figure>",
+    image
+      ? `  <a href="${url}"><img src="${escapeHtml(image)}" alt="${escapeHtml(
+          altText(sketchData)
+        )}" /></a>`
+      : null,
+    `  <figcaption><a href="${url}">${title}</a> by ${AUTHOR}, <a href="https://sketchplanations.com">Sketchplanations</a> · <a href="${LICENCE_URL}" rel="license">Creative Commons licence</a></figcaption>`,
+    "</figure>",
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+// The image bytes, from the offline library or the network
+async function imageBlob(sketchData) {
+  const res = await fetch(sketchData.image);
+  if (!res.ok) throw new Error("Failed to fetch sketch image: " + res.status);
+  return await res.blob();
+}
+
+// The clipboard only takes PNG images
+async function toPng(blob) {
+  if (blob.type === "image/png") return blob;
+  const bitmap = await createImageBitmap(blob);
+  try {
+    const canvas = document.createElement("canvas");
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext("2d").drawImage(bitmap, 0, 0);
+    return await new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (png) =>
+          png ? resolve(png) : reject(new Error("PNG encoding failed")),
+        "image/png"
+      );
+    });
+  } finally {
+    bitmap.close();
+  }
+}
+
+export function imageFilename(sketchData, type) {
+  const name = String(sketchData.uid)
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return `sketchplanations-${name || "sketch"}.${
+    IMAGE_EXTENSIONS[type] || "png"
+  }`;
+}
+
+export async function copyImage(sketchData) {
+  // Pass the blob as a promise so the copy counts as part of the click
+  await navigator.clipboard.write([
+    new ClipboardItem({
+      "image/png": imageBlob(sketchData).then(toPng),
+    }),
+  ]);
+}
+
+export async function downloadImage(sketchData) {
+  const blob = await imageBlob(sketchData);
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = imageFilename(sketchData, blob.type);
+  a.click();
+  // The download starts after this task, so revoke the URL after it too
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function canWebShare() {
+  return typeof navigator.share === "function";
+}
+
+// Share through the system share sheet, with the image when the browser can
+// share files. Resolves to false if the user cancelled.
+export async function webShare(sketchData) {
+  const data = {
+    title: sketchData.title,
+    text: textSnippet(sketchData),
+    url: sketchPageUrl(sketchData),
+  };
+  try {
+    const blob = await imageBlob(sketchData);
+    const file = new File([blob], imageFilename(sketchData, blob.type), {
+      type: blob.type,
+    });
+    if (navigator.canShare?.({ files: [file] })) data.files = [file];
+  } catch {
+    // Share the link without the image
+  }
+
+  try {
+    await navigator.share(data);
+    return true;
+  } catch (err) {
+    if (err.name === "AbortError") return false;
+    throw err;
+  }
+}
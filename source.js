@@ -0,0 +1,256 @@
+// Content source: where sketches come from and how responses are read
+// Each adapter validates a response from its API version and maps it to the
+// sketch object the rest of the extension uses:
+// { uid, title, image, url, description, prints, imageAlt, publishedAt,
+//   podcastUrl, tags }
+import { storage } from "./storage.js";
+import { recordFetchAttempt } from "./diagnostics.js";
+
+export const DEFAULT_ENDPOINT =
+  "https://sketchplanations.com/api/extension/v1/new-tab";
+export const DEFAULT_ADAPTER = "v1";
+
+// Hosts that may serve a custom source over plain http (local mock servers)
+export const LOCAL_HOSTNAMES = ["localhost", "127.0.0.1", "[::1]"];
+
+// Thrown when the source can't be reached or answers with an error status.
+// kind is "timeout", "network" or "http"; http errors have the status and,
+// when the source sent one, how many seconds to wait before retrying.
+export class SketchFetchError extends Error {
+  constructor(kind, message, { status = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = "SketchFetchError";
+    this.kind = kind;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+
+  get isTransient() {
+    return this.kind !== "http" || this.status >= 500;
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.round(seconds));
+  const date = Date.parse(value);
+  return Number.isNaN(date)
+    ? null
+    : Math.max(0, Math.round((date - Date.now()) / 1000));
+}
+
+// Thrown when a source responds with something an adapter can't use
+export class SketchValidationError extends Error {
+  constructor(source, problems) {
+    super(`Unexpected response from ${source}: ${problems.join("; ")}`);
+    this.name = "SketchValidationError";
+    this.problems = problems;
+  }
+}
+
+function isOptionalString(value) {
+  return value == null || typeof value === "string";
+}
+
+function isOptionalUrl(value) {
+  if (value == null || value === "") return true;
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch {
+    return false;
+  }
+}
+
+export const adapters = {
+  v1: {
+    label: "Extension API v1",
+    validate(data) {
+      if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return ["expected a JSON object"];
+      }
+
+      const problems = [];
+      if (typeof data.uid !== "string" || !data.uid) {
+        problems.push("uid is missing");
+      }
+      ["title", "imageAlt", "publishedAt"].forEach((key) => {
+        if (!isOptionalString(data[key])) problems.push(`${key} isn't text`);
+      });
+      [
+        "imageUrl",
+        "imageUrlOptimised",
+        "pageUrl",
+        "redbubbleUrl",
+        "podcastUrl",
+      ].forEach((key) => {
+        if (!isOptionalUrl(data[key])) problems.push(`${key} isn't a URL`);
+      });
+      if (
+        data.tags != null &&
+        !(
+          Array.isArray(data.tags) &&
+          data.tags.every((tag) => typeof tag === "string")
+        )
+      ) {
+        problems.push("tags isn't a list of text");
+      }
+      return problems;
+    },
+    map(data) {
+      return {
+        uid: data.uid,
+        title: data.title || data.uid.replace(/-/g, " "),
+        image: data.imageUrlOptimised || data.imageUrl || null,
+        url: data.pageUrl || `https://sketchplanations.com/${data.uid}`,
+        description: data.description || "",
+        prints: data.redbubbleUrl || null,
+        imageAlt: data.imageAlt || data.title || "",
+        publishedAt: data.publishedAt || null,
+        podcastUrl: data.podcastUrl || null,
+        tags: data.tags || [],
+      };
+    },
+  },
+};
+
+export async function getSourceConfig() {
+  const endpoint = await storage.get("sourceEndpoint", null);
+  const adapter = await storage.get("sourceAdapter", null);
+  return {
+    endpoint: endpoint || DEFAULT_ENDPOINT,
+    adapter: adapters[adapter] ? adapter : DEFAULT_ADAPTER,
+  };
+}
+
+// Save a custom source. Pass a falsy endpoint to go back to the default.
+export async function setSourceConfig({ endpoint, adapter }) {
+  if (endpoint) {
+    const problem = checkEndpoint(endpoint);
+    if (problem) throw new Error(problem);
+  }
+  await storage.set("sourceEndpoint", endpoint || null);
+  await storage.set("sourceAdapter", adapters[adapter] ? adapter : null);
+}
+
+// Check a custom endpoint URL. Returns a problem description, or null if OK.
+// Plain http is only allowed for local mock servers.
+export function checkEndpoint(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return "The endpoint isn't a valid URL";
+  }
+  const isLocal = LOCAL_HOSTNAMES.includes(url.hostname);
+  if (url.protocol !== "https:" && !(url.protocol === "http:" && isLocal)) {
+    return "The endpoint must use https (or http on localhost)";
+  }
+  return null;
+}
+
+// Add a cache-busting parameter, keeping any query the endpoint already has
+export function buildRequestUrl(endpoint) {
+  const url = new URL(endpoint);
+  url.searchParams.set("t", Date.now());
+  return url.href;
+}
+
+// Validate a response with the given adapter and map it to a sketch
+export function parseSketchResponse(data, adapterId, source) {
+  const adapter = adapters[adapterId] || adapters[DEFAULT_ADAPTER];
+  const problems = adapter.validate(data);
+  if (problems.length > 0) {
+    throw new SketchValidationError(source, problems);
+  }
+  return adapter.map(data);
+}
+
+// Read a fetch response as a sketch, with clear errors for bad responses
+export async function readSketchResponse(res, adapterId) {
+  const source = res.url ? new URL(res.url).host : "the sketch source";
+  let data;
+  try {
+    data = await res.json();
+  } catch {
+    throw new SketchValidationError(source, ["the response isn't JSON"]);
+  }
+  return parseSketchResponse(data, adapterId, source);
+}
+
+// Fetch a sketch from the configured source, retrying transient failures.
+// options: { timeoutMs, maxRetries }, to check quickly whether the source is
+// back
+export async function fetchSketchData(options = {}, retryCount = 0) {
+  const { timeoutMs = 15000, maxRetries = 2 } = options;
+  const source = await getSourceConfig();
+  const url = buildRequestUrl(source.endpoint);
+
+  // Add timeout to prevent hanging requests
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  const startedAt = performance.now();
+
+  try {
+    let res;
+    try {
+      res = await fetch(url, {
+        cache: "no-store",
+        signal: controller.signal,
+      });
+    } catch (err) {
+      throw err.name === "AbortError"
+        ? new SketchFetchError("timeout", "Request timed out")
+        : new SketchFetchError("network", err.message);
+    }
+    clearTimeout(timeoutId);
+
+    if (!res.ok) {
+      throw new SketchFetchError(
+        "http",
+        "Failed to fetch sketch data: " + res.status,
+        {
+          status: res.status,
+          retryAfter: parseRetryAfter(res.headers.get("Retry-After")),
+        }
+      );
+    }
+
+    // Validate the response and map it to the expected format
+    const sketchData = await readSketchResponse(res, source.adapter);
+    await recordFetchAttempt({
+      ok: true,
+      latencyMs: Math.round(performance.now() - startedAt),
+      retryCount,
+      uid: sketchData.uid,
+    });
+    return sketchData;
+  } catch (err) {
+    clearTimeout(timeoutId);
+    await recordFetchAttempt({
+      ok: false,
+      latencyMs: Math.round(performance.now() - startedAt),
+      retryCount,
+      reason: err.message,
+    });
+
+    // Retry timeouts, network failures and 5xx errors, but not responses
+    // that will be the same next time (4xx, rate limiting, bad data)
+    if (retryCount < maxRetries) {
+      if (err instanceof SketchFetchError && err.isTransient) {
+        const backoffDelay = Math.pow(2, retryCount) * 1000; // Exponential backoff: 1s, 2s
+        console.log(
+          `Retrying fetch after ${backoffDelay}ms (attempt ${
+            retryCount + 1
+          }/${maxRetries})`
+        );
+        await new Promise((resolve) => setTimeout(resolve, backoffDelay));
+        return fetchSketchData(options, retryCount + 1);
+      }
+    }
+
+    throw err;
+  }
+}
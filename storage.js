@@ -0,0 +1,119 @@
+// Storage helper shared by the new tab and options pages
+
+// Settings are small, so they sync across devices with chrome.storage.sync.
+// Everything else (history, favorites, caches) stays in chrome.storage.local.
+export const SYNC_KEYS = [
+  "theme",
+  "frequency",
+  "recentSize",
+  "favoritesSort",
+  "showCaption",
+  "customThemes",
+  "themeSchedule",
+  "keyBindings",
+  "topicFilters",
+];
+
+// Fallback for when not running as Chrome extension
+function hasChromeStorage() {
+  return typeof chrome !== "undefined" && !!chrome.storage;
+}
+
+function isSyncKey(key) {
+  return SYNC_KEYS.includes(key) && !!chrome.storage.sync;
+}
+
+// Values in localStorage can be hand-edited or left by old versions, so a
+// value that isn't JSON reads as missing rather than throwing
+function parseStored(stored) {
+  if (stored === null) return null;
+  try {
+    return JSON.parse(stored);
+  } catch {
+    return null;
+  }
+}
+
+export const storage = {
+  async get(key, defaultValue = null) {
+    if (!hasChromeStorage()) {
+      return parseStored(localStorage.getItem(key)) ?? defaultValue;
+    }
+    if (isSyncKey(key)) {
+      const synced = await chrome.storage.sync.get([key]);
+      if (synced[key] !== undefined) return synced[key] ?? defaultValue;
+      // Settings saved before sync support (or when sync failed) live locally
+    }
+    const obj = await chrome.storage.local.get([key]);
+    return obj[key] ?? defaultValue;
+  },
+  async set(key, val) {
+    if (!hasChromeStorage()) {
+      localStorage.setItem(key, JSON.stringify(val));
+      return;
+    }
+    if (isSyncKey(key)) {
+      try {
+        await chrome.storage.sync.set({ [key]: val });
+        return;
+      } catch (err) {
+        // Sync has tight quotas; keep the setting on this device instead
+        console.warn(`Couldn't sync "${key}", saving locally:`, err.message);
+      }
+      // get reads the synced copy first, so an older one there would hide
+      // the local value. Removed before the local write, so the last change
+      // listeners hear about is the new value.
+      await chrome.storage.sync.remove(key).catch((err) => {
+        console.warn(`Couldn't remove the synced "${key}":`, err.message);
+      });
+    }
+    await chrome.storage.local.set({ [key]: val });
+  },
+  async remove(key) {
+    if (!hasChromeStorage()) {
+      localStorage.removeItem(key);
+      return;
+    }
+    if (isSyncKey(key)) await chrome.storage.sync.remove(key);
+    await chrome.storage.local.remove(key);
+  },
+  // Everything stored, with synced settings taking priority over local copies
+  async getAll() {
+    if (!hasChromeStorage()) {
+      const all = {};
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        try {
+          all[key] = JSON.parse(localStorage.getItem(key));
+        } catch {
+          all[key] = localStorage.getItem(key);
+        }
+      }
+      return all;
+    }
+    const local = await chrome.storage.local.get(null);
+    const synced = chrome.storage.sync
+      ? await chrome.storage.sync.get(null)
+      : {};
+    return { ...local, ...synced };
+  },
+  // Call listener with { key: newValue } whenever storage changes, whether
+  // from this page, another page, or another device through sync
+  onChanged(listener) {
+    if (!hasChromeStorage()) {
+      window.addEventListener("storage", (e) => {
+        if (e.key === null) return;
+        listener({ [e.key]: parseStored(e.newValue) });
+      });
+      return;
+    }
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "local" && areaName !== "sync") return;
+      const values = {};
+      Object.keys(changes).forEach((key) => {
+        values[key] = changes[key].newValue ?? null;
+      });
+      listener(values);
+    });
+  },
+};
@@ -0,0 +1,14 @@
+// A minimal DOM for rendering views under node, with linkedom standing in for
+// the browser
+import { parseHTML } from "linkedom";
+
+export function installDom() {
+  const { window, document } = parseHTML(
+    "<!DOCTYPE html><html><head></head><body></body></html>"
+  );
+  globalThis.window = window;
+  globalThis.document = document;
+  globalThis.Node = window.Node;
+  globalThis.location = new URL("chrome-extension://test-extension-id/");
+  return document;
+}
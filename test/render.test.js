@@ -0,0 +1,261 @@
+// Hostile sketch data pushed through the views: text stays text, and URLs
+// that aren't https on an allowed host are dropped
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { installDom } from "./dom.js";
+
+const document = installDom();
+const { sketchView, errorStateView, sketchThumbHtml, safeUrl, safeImageUrl } =
+  await import("../view.js");
+const { renderDescription } = await import("../caption.js");
+
+const HOSTILE_TEXT = [
+  `<img src=x onerror="alert(1)">`,
+  `<script>alert(1)</script>`,
+  `"><svg onload=alert(1)>`,
+  `' onmouseover='alert(1)`,
+  `</button><iframe src="javascript:alert(1)"></iframe>`,
+];
+
+const HOSTILE_URLS = [
+  "javascript:alert(1)",
+  "JaVaScRiPt:alert(1)",
+  " javascript:alert(1)",
+  "data:text/html,<script>alert(1)</script>",
+  "data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+",
+  "http://sketchplanations.com/insecure",
+  "https://evil.example/sketch.png",
+  "https://sketchplanations.com.evil.example/x",
+  "https://evilsketchplanations.com/x",
+  "vbscript:msgbox(1)",
+  "not a url",
+];
+
+const TAGS_WE_WRITE = new Set([
+  "DIV",
+  "SPAN",
+  "H1",
+  "H2",
+  "H3",
+  "P",
+  "A",
+  "BUTTON",
+  "IMG",
+  "TIME",
+  "DETAILS",
+  "SUMMARY",
+  "SVG",
+  "PATH",
+  "POLYLINE",
+  "LINE",
+  "BR",
+  "KBD",
+  "STRONG",
+  "EM",
+  "UL",
+  "OL",
+  "LI",
+  "PRE",
+]);
+
+function render(node) {
+  const container = document.createElement("div");
+  container.append(node);
+  return container;
+}
+
+function renderHtml(html) {
+  const container = document.createElement("div");
+  container.innerHTML = html;
+  return container;
+}
+
+// Fail on anything the payloads could have added: unknown elements, event
+// handler attributes, or links and images that aren't https on an allowed
+// host (or one of our own relative images and mailto links). Description
+// links may go to any https site.
+function assertInert(container, isSafeUrl = (url) => safeUrl(url) === url) {
+  container.querySelectorAll("*").forEach((element) => {
+    assert.ok(
+      TAGS_WE_WRITE.has(element.tagName.toUpperCase()),
+      `unexpected <${element.tagName.toLowerCase()}>`
+    );
+    [...element.attributes].forEach(({ name, value }) => {
+      assert.ok(!/^on/i.test(name), `event handler attribute ${name}`);
+      if (name === "href" || name === "src") {
+        assert.ok(
+          /^images\//.test(value) ||
+            /^mailto:/.test(value) ||
+            isSafeUrl(value) ||
+            value === "https://status.prismic.io",
+          `unsafe ${name} ${value}`
+        );
+      }
+    });
+  });
+}
+
+function hostileSketches() {
+  return HOSTILE_TEXT.flatMap((text) =>
+    HOSTILE_URLS.map((url) => ({
+      uid: `x${text}`,
+      title: text,
+      imageAlt: text,
+      description: text,
+      publishedAt: text,
+      url,
+      image: url,
+      prints: url,
+      podcastUrl: url,
+    }))
+  );
+}
+
+test("safeUrl rejects other schemes, plain http and other hosts", () => {
+  HOSTILE_URLS.forEach((url) => {
+    assert.equal(safeUrl(url), null, url);
+    assert.equal(safeImageUrl(url), null, url);
+  });
+  assert.equal(safeUrl(null), null);
+  assert.equal(safeUrl(undefined), null);
+});
+
+test("safeUrl keeps https links on allowed hosts", () => {
+  [
+    "https://sketchplanations.com/the-map-is-not-the-territory",
+    "https://images.prismic.io/sketchplanations/a.png?auto=format",
+    "https://www.redbubble.com/shop/ap/123",
+  ].forEach((url) => assert.equal(safeUrl(url), url));
+});
+
+test("safeUrl encodes markup in an allowed URL", () => {
+  const url = safeUrl(
+    `https://sketchplanations.com/"><script>alert(1)</script>`
+  );
+  assert.ok(!/[<>"]/.test(url), url);
+});
+
+test("safeImageUrl only allows this extension's own blob URLs", () => {
+  const own = `blob:${location.origin}/0b1c`;
+  assert.equal(safeImageUrl(own), own);
+  assert.equal(safeImageUrl("blob:https://evil.example/0b1c"), null);
+});
+
+test("sketchView keeps hostile values as text", () => {
+  hostileSketches().forEach((sketch) => {
+    const container = render(
+      sketchView(sketch, { showCaption: true, captionExpanded: true })
+    );
+    assertInert(container);
+    assert.equal(container.querySelector(".sketch-img"), null);
+    assert.ok(container.textContent.includes(sketch.title));
+    // The page link falls back to the sketch's own address
+    assert.ok(
+      container
+        .querySelector("#viewLink")
+        .getAttribute("href")
+        .startsWith("https://sketchplanations.com/")
+    );
+  });
+});
+
+test("sketchView without a caption keeps the title as text", () => {
+  hostileSketches().forEach((sketch) => {
+    const container = render(sketchView(sketch, { showCaption: false }));
+    assertInert(container);
+    assert.equal(container.querySelector("h1").textContent, sketch.title);
+  });
+});
+
+test("errorStateView keeps the detail as text", () => {
+  ["offline", "service_issue", "timeout", "all_blocked", "unknown"].forEach(
+    (state) => {
+      HOSTILE_TEXT.forEach((detail) => {
+        const container = render(
+          errorStateView(state, { detail, testMode: true })
+        );
+        assertInert(container);
+        if (state !== "offline" && state !== "unknown") {
+          assert.equal(
+            container.querySelector(".error-detail").textContent,
+            detail
+          );
+        }
+      });
+    }
+  );
+});
+
+test("sketchThumbHtml escapes values and drops unsafe images", () => {
+  hostileSketches().forEach((sketch) => {
+    const container = renderHtml(
+      sketchThumbHtml(sketch, { "data-uid": sketch.uid })
+    );
+    assertInert(container);
+    const button = container.querySelector("button");
+    assert.equal(button.getAttribute("data-uid"), sketch.uid);
+    assert.equal(container.querySelector("img"), null);
+    assert.equal(
+      container.querySelector(".gallery-item-title").textContent,
+      sketch.title
+    );
+  });
+});
+
+const isHttps = (url) => new URL(url).protocol === "https:";
+
+test("renderDescription escapes markdown and keeps only https links", () => {
+  HOSTILE_TEXT.forEach((text) => {
+    assertInert(renderHtml(renderDescription(text)), isHttps);
+  });
+  HOSTILE_URLS.forEach((url) => {
+    const container = renderHtml(renderDescription(`[click](${url})`));
+    assertInert(container, isHttps);
+  });
+  const container = renderHtml(
+    renderDescription("[a](javascript:alert(1)) and [b](https://example.com/)")
+  );
+  assert.deepEqual(
+    [...container.querySelectorAll("a")].map((a) => a.getAttribute("href")),
+    ["https://example.com/"]
+  );
+});
+
+test("renderDescription escapes rich text and its links", () => {
+  HOSTILE_TEXT.forEach((text) => {
+    const blocks = [
+      {
+        type: "paragraph",
+        text,
+        spans: [
+          { start: 0, end: text.length, type: "strong" },
+          {
+            start: 0,
+            end: 3,
+            type: "hyperlink",
+            data: { url: "javascript:alert(1)" },
+          },
+        ],
+      },
+      { type: "heading2", text, spans: [] },
+      { type: "list-item", text, spans: [] },
+    ];
+    const container = renderHtml(renderDescription(blocks));
+    assertInert(container, isHttps);
+    assert.equal(container.querySelector("a"), null);
+    assert.equal(container.querySelector("p").textContent, text);
+  });
+});
+
+test("renderDescription keeps emphasis out of link URLs", () => {
+  const container = renderHtml(
+    renderDescription(
+      "See [the _second_ **post**](https://a.com/_b_/*c*) _now_ \u00010\u0001"
+    )
+  );
+  const a = container.querySelector("a");
+  assert.equal(a.getAttribute("href"), "https://a.com/_b_/*c*");
+  assert.equal(a.innerHTML, "the <em>second</em> <strong>post</strong>");
+  assert.equal(container.querySelectorAll("em").length, 2);
+  assert.equal(container.querySelectorAll("a").length, 1);
+});
@@ -0,0 +1,107 @@
+// Storage migrations and cleaners, run against fixture snapshots of storage
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  SCHEMA_VERSION_KEY,
+  migrate,
+} from "../schema.js";
+import { DEFAULT_SCHEDULE } from "../settings.js";
+
+function fixture(name) {
+  return JSON.parse(
+    readFileSync(new URL(`fixtures/schema/${name}.json`, import.meta.url))
+  );
+}
+
+test("0 → 1 maps a raw API lastSketch to a sketch", () => {
+  const data = fixture("v0-raw-api-sketch");
+  const migrated = MIGRATIONS[0](data);
+  assert.deepEqual(migrated.lastSketch, {
+    uid: "the-map-is-not-the-territory",
+    title: "The map is not the territory",
+    image: "https://images.prismic.io/sketchplanations/map.png?auto=format",
+    url: "https://sketchplanations.com/the-map-is-not-the-territory",
+    description: "",
+    prints: "https://www.redbubble.com/shop/ap/123",
+    imageAlt: "A map next to the land it shows",
+    publishedAt: "2024-03-03T12:00:00Z",
+    podcastUrl: null,
+    tags: [],
+  });
+  assert.deepEqual(migrated.recent, data.recent);
+  // Steps are pure
+  assert.deepEqual(data, fixture("v0-raw-api-sketch"));
+});
+
+test("0 → 1 drops a raw API lastSketch that doesn't validate", () => {
+  const migrated = MIGRATIONS[0](fixture("v0-invalid-api-sketch"));
+  assert.equal(migrated.lastSketch, null);
+});
+
+test("0 → 1 leaves an already mapped lastSketch alone", () => {
+  const data = fixture("v1-string-frequency");
+  assert.deepEqual(MIGRATIONS[0](data).lastSketch, data.lastSketch);
+});
+
+test("1 → 2 turns a frequency name into a schedule", () => {
+  const migrated = MIGRATIONS[1](fixture("v1-string-frequency"));
+  assert.deepEqual(migrated.frequency, {
+    ...DEFAULT_SCHEDULE,
+    type: "each-tab",
+  });
+});
+
+test("migrate runs every step from version 0", () => {
+  const migrated = migrate(fixture("v0-raw-api-sketch"));
+  assert.equal(migrated[SCHEMA_VERSION_KEY], SCHEMA_VERSION);
+  assert.equal(
+    migrated.lastSketch.url,
+    "https://sketchplanations.com/the-map-is-not-the-territory"
+  );
+  assert.deepEqual(migrated.frequency, { ...DEFAULT_SCHEDULE, type: "hourly" });
+});
+
+test("migrate drops corrupt values and repairs what it can", () => {
+  const migrated = migrate(fixture("v2-corrupt"));
+  [
+    "theme",
+    "showCaption",
+    "recentSize",
+    "favoritesSort",
+    "lastFetchTime",
+    "lastSketch",
+    "sourceAdapter",
+  ].forEach((key) => assert.ok(!(key in migrated), `${key} kept`));
+
+  assert.deepEqual(migrated.frequency, DEFAULT_SCHEDULE);
+  assert.deepEqual(migrated.recent, ["kept", "also-kept"]);
+  assert.deepEqual(
+    migrated.sketchQueue.map((sketch) => sketch.uid),
+    ["queued"]
+  );
+  assert.deepEqual(
+    migrated.favorites.map((favorite) => favorite.sketch.uid),
+    ["favorite"]
+  );
+  assert.deepEqual(migrated.keyBindings, { next: ["n"] });
+  assert.deepEqual(
+    migrated.blockedSketches.map((entry) => entry.uid),
+    ["blocked"]
+  );
+  // Keys the schema doesn't know are left for whoever wrote them
+  assert.deepEqual(migrated.somethingNew, { left: "alone" });
+});
+
+test("migrate leaves data from a newer version alone", () => {
+  const data = fixture("v99-newer");
+  assert.deepEqual(migrate(data), data);
+});
+
+test("null values are kept as not set", () => {
+  const migrated = migrate({ theme: null, lastSketch: null });
+  assert.equal(migrated.theme, null);
+  assert.equal(migrated.lastSketch, null);
+});
@@ -0,0 +1,275 @@
+// Custom themes: named palettes made in the options page
+// A theme sets the background, text and accent colors, plus gradients that
+// rotate like the built-in gradient theme. The stored "theme" setting is a
+// built-in name, "custom:<id>" or "auto" (switch on a time-of-day schedule).
+// The built-in "adaptive" theme takes its colors from the sketch on screen.
+// Themes can be shared as small JSON snippets.
+import { storage } from "./storage.js";
+
+export const ADAPTIVE_THEME = "adaptive";
+export const BUILT_IN_THEMES = ["light", "dark", "gradient", ADAPTIVE_THEME];
+export const CUSTOM_THEME_PREFIX = "custom:";
+export const AUTO_THEME = "auto";
+
+export const THEME_FORMAT = "sketchplanations-theme";
+export const THEME_VERSION = 1;
+
+export const MAX_CUSTOM_THEMES = 20;
+export const MAX_GRADIENTS = 8;
+export const MIN_ROTATION_MINUTES = 1;
+export const MAX_ROTATION_MINUTES = 24 * 60;
+
+// Starting point for a new theme in the editor
+export const NEW_THEME = {
+  name: "My theme",
+  background: "#1f2937",
+  text: "#ffffff",
+  accent: "#f59e0b",
+  gradients: [["#1f2937", "#374151", "#4b5563"]],
+  rotationMinutes: 5,
+};
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+export function isColor(value) {
+  return typeof value === "string" && COLOR_PATTERN.test(value);
+}
+
+export function isCustomTheme(value) {
+  return typeof value === "string" && value.startsWith(CUSTOM_THEME_PREFIX);
+}
+
+// Whether a stored "theme" setting has a valid shape (a custom theme may
+// still have been deleted since)
+export function isThemeValue(value) {
+  return value === AUTO_THEME || isFixedTheme(value);
+}
+
+// A theme that can be shown as it is, rather than picked by the schedule
+function isFixedTheme(value) {
+  return (
+    BUILT_IN_THEMES.includes(value) ||
+    (isCustomTheme(value) && value.length > CUSTOM_THEME_PREFIX.length)
+  );
+}
+
+export function customThemeValue(theme) {
+  return CUSTOM_THEME_PREFIX + theme.id;
+}
+
+// Check a theme's fields. Returns a list of problems (empty when valid).
+export function validateTheme(theme) {
+  if (!isPlainObject(theme)) return ["a theme must be an object"];
+
+  const problems = [];
+  if (typeof theme.name !== "string" || !theme.name.trim()) {
+    problems.push("name is missing");
+  } else if (theme.name.length > 40) {
+    problems.push("name must be 40 characters or fewer");
+  }
+  ["background", "text", "accent"].forEach((key) => {
+    if (!isColor(theme[key])) problems.push(`${key} must be a #rrggbb color`);
+  });
+  if (
+    !Array.isArray(theme.gradients) ||
+    theme.gradients.length > MAX_GRADIENTS ||
+    !theme.gradients.every(
+      (stops) =>
+        Array.isArray(stops) && stops.length === 3 && stops.every(isColor)
+    )
+  ) {
+    problems.push(
+      `gradients must be a list of up to ${MAX_GRADIENTS} sets of three #rrggbb colors`
+    );
+  }
+  if (
+    !Number.isInteger(theme.rotationMinutes) ||
+    theme.rotationMinutes < MIN_ROTATION_MINUTES ||
+    theme.rotationMinutes > MAX_ROTATION_MINUTES
+  ) {
+    problems.push(
+      `rotationMinutes must be a whole number from ${MIN_ROTATION_MINUTES} to ${MAX_ROTATION_MINUTES}`
+    );
+  }
+  return problems;
+}
+
+// Only the fields a theme is made of, so stored and shared themes stay small
+function themeFields(theme) {
+  return {
+    name: theme.name.trim(),
+    background: theme.background.toLowerCase(),
+    text: theme.text.toLowerCase(),
+    accent: theme.accent.toLowerCase(),
+    gradients: theme.gradients.map((stops) =>
+      stops.map((color) => color.toLowerCase())
+    ),
+    rotationMinutes: theme.rotationMinutes,
+  };
+}
+
+export async function getCustomThemes() {
+  return await storage.get("customThemes", []);
+}
+
+export function findCustomTheme(themes, value) {
+  if (!isCustomTheme(value)) return null;
+  const id = value.slice(CUSTOM_THEME_PREFIX.length);
+  return themes.find((theme) => theme.id === id) || null;
+}
+
+// Add a theme, or update it if it has the id of an existing one. Returns the
+// saved theme.
+export async function saveCustomTheme(theme) {
+  const problems = validateTheme(theme);
+  if (problems.length > 0) {
+    throw new Error("Invalid theme: " + problems.join("; "));
+  }
+
+  const themes = await getCustomThemes();
+  const index = themes.findIndex((existing) => existing.id === theme.id);
+  if (index === -1 && themes.length >= MAX_CUSTOM_THEMES) {
+    throw new Error(`You can have up to ${MAX_CUSTOM_THEMES} custom themes`);
+  }
+
+  const saved = {
+    id: index === -1 ? Date.now().toString(36) : theme.id,
+    ...themeFields(theme),
+  };
+  if (index === -1) themes.push(saved);
+  else themes[index] = saved;
+  await storage.set("customThemes", themes);
+  return saved;
+}
+
+// Delete a theme. If it's the active theme, go back to the system default,
+// and take it out of the auto theme's schedule.
+export async function deleteCustomTheme(id) {
+  const value = CUSTOM_THEME_PREFIX + id;
+  const themes = await getCustomThemes();
+  await storage.set(
+    "customThemes",
+    themes.filter((theme) => theme.id !== id)
+  );
+  if ((await storage.get("theme", null)) === value) {
+    await storage.set("theme", null);
+  }
+  const periods = await getThemeSchedule();
+  if (periods.some((period) => period.theme === value)) {
+    await setThemeSchedule(periods.filter((period) => period.theme !== value));
+  }
+}
+
+// JSON snippet for sharing a theme
+export function themeSnippet(theme) {
+  return JSON.stringify({
+    format: THEME_FORMAT,
+    version: THEME_VERSION,
+    ...themeFields(theme),
+  });
+}
+
+// Read a shared snippet. Returns the theme (without an id) or throws an Error
+// saying what's wrong.
+export function parseThemeSnippet(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("That isn't valid JSON.");
+  }
+  if (!isPlainObject(data) || data.format !== THEME_FORMAT) {
+    throw new Error("That isn't a Sketchplanations theme.");
+  }
+  if (data.version > THEME_VERSION) {
+    throw new Error(
+      "That theme was made with a newer version of the extension. Update it and try again."
+    );
+  }
+  const problems = validateTheme(data);
+  if (problems.length > 0) {
+    throw new Error("The theme isn't valid: " + problems.join("; ") + ".");
+  }
+  return themeFields(data);
+}
+
+// Relative luminance (WCAG) of a #rrggbb color
+export function luminance(color) {
+  const [r, g, b] = [1, 3, 5].map((start) => {
+    const channel = parseInt(color.slice(start, start + 2), 16) / 255;
+    return channel <= 0.03928
+      ? channel / 12.92
+      : Math.pow((channel + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// The auto theme's schedule: each period's theme starts at its local "HH:MM"
+// and lasts until the next period starts, wrapping round midnight
+export const MAX_THEME_PERIODS = 6;
+export const DEFAULT_THEME_SCHEDULE = [
+  { start: "07:00", theme: "light" },
+  { start: "19:00", theme: "dark" },
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Keep valid periods, one per start time, in order of the day. An empty
+// schedule goes back to the default.
+export function normalizeThemeSchedule(value) {
+  const periods = [];
+  (Array.isArray(value) ? value : []).forEach((period) => {
+    if (
+      isPlainObject(period) &&
+      TIME_PATTERN.test(period.start) &&
+      isFixedTheme(period.theme) &&
+      !periods.some((existing) => existing.start === period.start)
+    ) {
+      periods.push({ start: period.start, theme: period.theme });
+    }
+  });
+  periods.sort((a, b) => a.start.localeCompare(b.start));
+  return periods.length > 0
+    ? periods.slice(0, MAX_THEME_PERIODS)
+    : DEFAULT_THEME_SCHEDULE.map((period) => ({ ...period }));
+}
+
+export async function getThemeSchedule() {
+  return normalizeThemeSchedule(await storage.get("themeSchedule", null));
+}
+
+export async function setThemeSchedule(periods) {
+  await storage.set("themeSchedule", normalizeThemeSchedule(periods));
+}
+
+function atTime(day, time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return new Date(
+    day.getFullYear(),
+    day.getMonth(),
+    day.getDate(),
+    hours,
+    minutes
+  );
+}
+
+// The scheduled theme at now, and when the next period starts. Worked out
+// from the clock each time, so a late timer (e.g. after sleep) still lands
+// on the right theme.
+export function scheduledTheme(periods, now = new Date()) {
+  const index = periods.findLastIndex(
+    (period) => atTime(now, period.start) <= now
+  );
+  // Before the first period of the day, the last one from yesterday applies
+  const current = periods[index === -1 ? periods.length - 1 : index];
+
+  const next = periods[(index + 1) % periods.length];
+  const until = atTime(now, next.start);
+  if (until <= now) until.setDate(until.getDate() + 1);
+
+  return { theme: current.theme, until };
+}
@@ -0,0 +1,536 @@
+// Safe rendering for sketch data
+// Everything that comes from the API (or from storage, which may hold old or
+// corrupted API data) is put on the page as text nodes and attributes, never
+// parsed as HTML. URLs have to be https and on a host we expect.
+import {
+  escapeHtml,
+  formatPublishedDate,
+  renderDescription,
+} from "./caption.js";
+import { formatBytes } from "./library.js";
+import { t } from "./i18n.js";
+import { LOCAL_HOSTNAMES } from "./source.js";
+
+// Hosts sketch links and images may point at (subdomains included)
+export const ALLOWED_HOSTS = [
+  "sketchplanations.com",
+  "prismic.io",
+  "redbubble.com",
+];
+
+// The host of a custom content source, so its own links and images work too
+let sourceHost = null;
+
+export function allowSourceHost(endpoint) {
+  try {
+    sourceHost = new URL(endpoint).hostname;
+  } catch {
+    sourceHost = null;
+  }
+}
+
+function isAllowedHost(hostname) {
+  return (
+    hostname === sourceHost ||
+    ALLOWED_HOSTS.some(
+      (host) => hostname === host || hostname.endsWith(`.${host}`)
+    )
+  );
+}
+
+// Check a URL against the allowlist. Returns the normalised URL, or null if
+// it shouldn't be used. Plain http is only allowed for a local content source.
+export function safeUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+  if (!isAllowedHost(url.hostname)) return null;
+  if (url.protocol === "https:") return url.href;
+  if (
+    url.protocol === "http:" &&
+    url.hostname === sourceHost &&
+    LOCAL_HOSTNAMES.includes(url.hostname)
+  ) {
+    return url.href;
+  }
+  return null;
+}
+
+// Images may also be object URLs for offline library copies made by this page
+export function safeImageUrl(value) {
+  if (
+    typeof value === "string" &&
+    value.startsWith(`blob:${location.origin}/`)
+  ) {
+    return value;
+  }
+  return safeUrl(value);
+}
+
+// The sketch's page, falling back to its address on sketchplanations.com
+export function sketchPageUrl(sketchData) {
+  return (
+    safeUrl(sketchData.url) ||
+    `https://sketchplanations.com/${encodeURIComponent(sketchData.uid)}`
+  );
+}
+
+// Create an element. Attribute values and string children are always set as
+// text; null, undefined, false and empty children are left out.
+export function el(tag, attributes = {}, ...children) {
+  const element = document.createElement(tag);
+  Object.entries(attributes).forEach(([name, value]) => {
+    if (value === null || value === undefined || value === false) return;
+    if (name === "class") element.className = value;
+    else element.setAttribute(name, value === true ? "" : String(value));
+  });
+  children.flat(Infinity).forEach((child) => {
+    if ([null, undefined, false, ""].includes(child)) return;
+    element.append(child instanceof Node ? child : String(child));
+  });
+  return element;
+}
+
+// Parse markup we wrote ourselves (icons and fixed copy) or that has already
+// been escaped. Never pass raw API data.
+function staticHtml(html) {
+  const template = document.createElement("template");
+  template.innerHTML = html.trim();
+  return template.content;
+}
+
+// A message as escaped HTML, with substitutions put in as they are. Only pass
+// markup we wrote ourselves (or have escaped) as substitutions.
+export function messageHtml(key, substitutionsHtml = []) {
+  const markup = [].concat(substitutionsHtml);
+  const markers = markup.map((html, index) => `\u0001${index}\u0001`);
+  return escapeHtml(t(key, markers)).replace(
+    /\u0001(\d)\u0001/g,
+    (match, index) => markup[index]
+  );
+}
+
+const KONAMI_KEYS = ["↑", "↑", "↓", "↓", "←", "→", "←", "→"];
+
+// Banner shown while test offline mode is on
+export function testModeBannerView() {
+  return el(
+    "div",
+    { class: "test-mode-banner" },
+    t("testModeBanner"),
+    " ",
+    KONAMI_KEYS.map((key) => [el("kbd", {}, key), " "])
+  );
+}
+
+// Share menu options: [action, message key]. The new tab page runs the
+// actions.
+const SHARE_OPTIONS = [
+  ["link", "shareCopyLink"],
+  ["image", "shareCopyImage"],
+  ["download", "shareDownloadImage"],
+  ["web", "shareWeb"],
+  ["markdown", "shareCopyMarkdown"],
+  ["html", "shareCopyHtml"],
+  ["text", "shareCopyText"],
+];
+
+function extraLinksView(sketchData) {
+  const links = [
+    el(
+      "a",
+      {
+        id: "viewLink",
+        href: sketchPageUrl(sketchData),
+        target: "_blank",
+        rel: "noopener",
+        class: "small-link",
+        title: t("openOnSiteTitle"),
+      },
+      t("openOnSite")
+    ),
+    el(
+      "div",
+      { class: "share-container" },
+      el("div", {
+        id: "copiedNotification",
+        class: "copied-notification",
+        role: "status",
+      }),
+      el(
+        "button",
+        {
+          id: "shareBtn",
+          class: "small-link share-link",
+          title: t("shareTitle"),
+          "aria-haspopup": "menu",
+          "aria-expanded": "false",
+          "aria-controls": "shareMenu",
+        },
+        t("share")
+      ),
+      el(
+        "div",
+        {
+          id: "shareMenu",
+          class: "share-menu hidden",
+          role: "menu",
+          "aria-labelledby": "shareBtn",
+        },
+        SHARE_OPTIONS.map(([action, key]) =>
+          el(
+            "button",
+            { class: "share-option", "data-share": action, role: "menuitem" },
+            t(key)
+          )
+        )
+      )
+    ),
+    el(
+      "button",
+      {
+        id: "favoriteBtn",
+        class: "small-link favorite-link",
+        "aria-pressed": "false",
+        title: t("favoriteTitle"),
+      },
+      t("favorite")
+    ),
+  ];
+
+  const prints = safeUrl(sketchData.prints);
+  if (prints) {
+    links.push(
+      el(
+        "a",
+        {
+          href: prints,
+          target: "_blank",
+          rel: "noopener",
+          class: "small-link",
+        },
+        t("buyPrints")
+      )
+    );
+  }
+  const podcast = safeUrl(sketchData.podcastUrl);
+  if (podcast) {
+    links.push(
+      el(
+        "a",
+        {
+          href: podcast,
+          target: "_blank",
+          rel: "noopener",
+          class: "small-link",
+        },
+        t("listenToPodcast")
+      )
+    );
+  }
+  links.push(
+    el(
+      "button",
+      {
+        id: "blockBtn",
+        class: "small-link block-link",
+        title: t("neverShowAgainTitle"),
+      },
+      t("neverShowAgain")
+    )
+  );
+
+  return el(
+    "div",
+    { class: "extra-links" },
+    links.map((link, index) => (index > 0 ? [" • ", link] : link))
+  );
+}
+
+function captionView(sketchData, captionExpanded) {
+  const publishedDate = formatPublishedDate(sketchData.publishedAt);
+  // renderDescription escapes all text and only keeps https links
+  const descriptionHtml = renderDescription(sketchData.description);
+
+  return el(
+    "div",
+    { class: "caption" },
+    el("h1", { class: "caption-title" }, sketchData.title),
+    publishedDate &&
+      el(
+        "p",
+        { class: "caption-date" },
+        el("time", { datetime: sketchData.publishedAt }, publishedDate)
+      ),
+    descriptionHtml &&
+      el(
+        "details",
+        { class: "caption-description", open: captionExpanded },
+        el("summary", {}, t("aboutThisSketch")),
+        el("div", { class: "caption-body" }, staticHtml(descriptionHtml))
+      )
+  );
+}
+
+// The sketch page: image, caption and links.
+// options: { showCaption, captionExpanded, offlineUsage, testMode }
+export function sketchView(sketchData, options = {}) {
+  const image = safeImageUrl(sketchData.image);
+
+  // Let the user know they're looking at a sketch from the offline library
+  const offlineNotice = options.offlineUsage && [
+    options.testMode && testModeBannerView(),
+    el(
+      "div",
+      { class: "offline-notice", role: "status" },
+      t("offlineNotice"),
+      " ",
+      el(
+        "span",
+        { class: "offline-usage" },
+        t("offlineUsage", [
+          options.offlineUsage.count,
+          formatBytes(options.offlineUsage.bytes),
+        ])
+      )
+    ),
+  ];
+
+  const fragment = document.createDocumentFragment();
+  if (!options.showCaption) {
+    fragment.append(el("h1", { class: "sr-only" }, sketchData.title));
+  }
+  fragment.append(
+    el(
+      "div",
+      { class: "layout" },
+      el(
+        "div",
+        { class: "sketch-container" },
+        offlineNotice,
+        image &&
+          el(
+            "button",
+            {
+              class: "image-button",
+              title: t("zoomInTitle"),
+              "aria-label": t("openViewer"),
+            },
+            el("img", {
+              class: "sketch-img",
+              src: image,
+              alt: sketchData.imageAlt || sketchData.title,
+              loading: "lazy",
+            })
+          ),
+        options.showCaption && captionView(sketchData, options.captionExpanded),
+        extraLinksView(sketchData)
+      )
+    )
+  );
+  return fragment;
+}
+
+// ---- Error states ----
+// Message keys for each diagnosed state (see connectivity.js). showSketch
+// shows the "bad internet" sketch instead of offering the last sketch.
+const ERROR_STATES = {
+  offline: {
+    title: "offlineTitle",
+    message: "offlineMessage",
+    advice: "offlineAdvice",
+    showSketch: true,
+  },
+  captive_portal: {
+    title: "captivePortalTitle",
+    message: "captivePortalMessage",
+    advice: "captivePortalAdvice",
+    showSketch: true,
+  },
+  service_issue: {
+    title: "serviceIssueTitle",
+    message: "serviceIssueMessage",
+    advice: "serviceIssueAdvice",
+    showSketch: false,
+    troubleshooting: true,
+  },
+  timeout: {
+    title: "timeoutTitle",
+    message: "timeoutMessage",
+    advice: "timeoutAdvice",
+    showSketch: false,
+  },
+  server_error: {
+    title: "serverErrorTitle",
+    message: "serverErrorMessage",
+    advice: "serverErrorAdvice",
+    showSketch: false,
+    troubleshooting: true,
+  },
+  client_error: {
+    title: "clientErrorTitle",
+    message: "clientErrorMessage",
+    advice: "clientErrorAdvice",
+    showSketch: false,
+  },
+  rate_limited: {
+    title: "rateLimitedTitle",
+    message: "rateLimitedMessage",
+    advice: "rateLimitedAdvice",
+    showSketch: false,
+  },
+  malformed_response: {
+    title: "malformedResponseTitle",
+    message: "malformedResponseMessage",
+    advice: "malformedResponseAdvice",
+    showSketch: false,
+  },
+  all_blocked: {
+    title: "allBlockedTitle",
+    message: "allBlockedMessage",
+    advice: "allBlockedAdvice",
+    showSketch: false,
+  },
+};
+
+const ERROR_ICON = `
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    width="24"
+    height="24"
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    stroke-width="2"
+    stroke-linecap="round"
+    stroke-linejoin="round"
+  >
+    <path d="M12.409 5.824c-.702.792-1.15 1.496-1.415 2.166l2.153 2.156a.5.5 0 0 1 0 .707l-2.293 2.293a.5.5 0 0 0 0 .707L12 15"/>
+    <path d="M13.508 20.313a2 2 0 0 1-3 .019L5 15c-1.5-1.5-3-3.2-3-5.5a5.5 5.5 0 0 1 9.591-3.677.6.6 0 0 0 .818.001A5.5 5.5 0 0 1 22 9.5c0 2.29-1.5 4-3 5.5z"/>
+  </svg>
+`;
+
+const RETRY_ICON = `
+  <svg
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    stroke-width="2"
+    stroke-linecap="round"
+    stroke-linejoin="round"
+  >
+    <path d="M23 4v6h-6"/>
+    <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
+  </svg>
+`;
+
+const DOCUMENT_ICON = `
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+    <polyline points="14,2 14,8 20,8"/>
+    <line x1="16" y1="13" x2="8" y2="13"/>
+    <line x1="16" y1="17" x2="8" y2="17"/>
+    <polyline points="10,9 9,9 8,9"/>
+  </svg>
+`;
+
+function troubleshootingHtml() {
+  return `
+    <div class="troubleshooting" style="margin-top: 2rem; text-align: center; font-size: 0.9em; opacity: 0.8;">
+      <button id="troubleshootingToggle" style="background: none; border: none; color: inherit; text-decoration: none; cursor: pointer; font-size: inherit;">
+        ${escapeHtml(t("troubleshooting"))}
+      </button>
+      <div id="troubleshootingDetails" style="display: none; margin-top: 0.5rem;">
+        <p style="margin: 0.5rem 0 0 0; font-size: 0.85em;">
+          ${messageHtml(
+            "troubleshootingStatus",
+            `<a href="https://status.prismic.io" target="_blank" rel="noopener" style="color: inherit;">status.prismic.io</a>`
+          )}<br>
+          ${messageHtml(
+            "troubleshootingContact",
+            `<a href="mailto:jono.hey@gmail.com" style="color: inherit;">jono.hey@gmail.com</a>`
+          )}
+        </p>
+      </div>
+    </div>
+  `;
+}
+
+// The error page for a diagnosed connectivity state (unknown states are
+// treated as offline). options: { detail, testMode }
+export function errorStateView(state, options = {}) {
+  const { title, message, advice, showSketch, troubleshooting } =
+    ERROR_STATES[state] || ERROR_STATES.offline;
+
+  const fragment = document.createDocumentFragment();
+  if (options.testMode) fragment.append(testModeBannerView());
+  fragment.append(
+    el(
+      "div",
+      { class: "error-container" },
+      el("div", { class: "error-icon" }, staticHtml(ERROR_ICON)),
+      el("h2", { class: "error-title" }, t(title)),
+      el("p", { class: "error-message" }, t(message)),
+      el("p", { class: "error-advice" }, t(advice)),
+      options.detail && el("p", { class: "error-detail" }, options.detail),
+      el(
+        "button",
+        { class: "error-button", id: "retry" },
+        staticHtml(RETRY_ICON),
+        t("tryAgain")
+      ),
+      // Offer the last sketch when there's no sketch on the error page
+      !showSketch &&
+        el(
+          "button",
+          {
+            class: "error-button",
+            id: "showCached",
+            style: "margin-top: 1rem;",
+          },
+          staticHtml(DOCUMENT_ICON),
+          t("showLastSketch")
+        ),
+      troubleshooting && staticHtml(troubleshootingHtml()),
+      showSketch &&
+        el(
+          "div",
+          { class: "error-sketch" },
+          el("img", {
+            src: "images/bad-internet-is-worse-than-no-internet-sketchplanations.jpg",
+            alt: t("errorSketchAlt"),
+            class: "error-sketch-img",
+          })
+        )
+    )
+  );
+  return fragment;
+}
+
+// Escaped markup for a sketch thumbnail button, for the gallery, history and
+// search panels. attributes are extra attributes for the button (escaped).
+export function sketchThumbHtml(sketch, attributes = {}, extraHtml = "") {
+  const image = safeImageUrl(sketch.image);
+  const attributeHtml = Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+    .join("");
+  return `
+    <button class="gallery-open"${attributeHtml} title="${escapeHtml(
+    t("openSketch", sketch.title)
+  )}">
+      ${
+        image
+          ? `<img class="gallery-thumb" src="${escapeHtml(
+              image
+            )}" alt="${escapeHtml(
+              sketch.imageAlt || sketch.title
+            )}" loading="lazy">`
+          : ""
+      }
+      <span class="gallery-item-title">${escapeHtml(sketch.title)}</span>
+      ${extraHtml}
+    </button>`;
+}